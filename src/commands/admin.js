@@ -1,7 +1,22 @@
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, MessageFlags, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, MessageFlags, ButtonBuilder, ButtonStyle, ActionRowBuilder, AttachmentBuilder } = require('discord.js');
 const config = require('../utils/config');
 const { google } = require('googleapis');
 const crypto = require('crypto');
+const { normalizeFolderPath } = require('../utils/helpers');
+const { TEMPLATE_VARIABLES, findUnknownVariables, renderFileNameTemplate } = require('../utils/fileNameTemplate');
+const { describeAutoApproveRule } = require('../utils/autoApprove');
+const { getFilePolicyFor, describeFilePolicy } = require('../utils/filePolicy');
+const { logEvent, queryEvents, toCsv, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { findOpenRequests, formatPendingRequest } = require('../services/reminders');
+
+// Commands that only read state, so they aren't written to the audit log
+const READ_ONLY_COMMANDS = ['show-config', 'upload-history', 'pending-uploads'];
+
+// Command options never written to the audit log
+const SECRET_OPTIONS = ['code'];
+
+// Audit log entries per /upload-history page
+const HISTORY_PAGE_SIZE = 10;
 
 // Map to track pending auth states
 const googleAuthStates = new Map();
@@ -48,6 +63,10 @@ function createAdminCommands() {
                 option.setName('channel')
                     .setDescription('The channel to add')
                     .setRequired(true))
+            .addBooleanOption(option =>
+                option.setName('include_threads')
+                    .setDescription('Also allow uploads from its threads and forum posts (default: yes)')
+                    .setRequired(false))
             .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
     );
 
@@ -91,6 +110,181 @@ function createAdminCommands() {
             .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
     );
 
+    // Map upload channel -> default Drive folder
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('map-channel-folder')
+            .setDescription('Set the Google Drive folder uploads from a channel start in')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload channel to map')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('path')
+                    .setDescription('Folder path inside the root folder (e.g. Fan Art/2024)')
+                    .setRequired(true))
+            .addBooleanOption(option =>
+                option.setName('lock')
+                    .setDescription('Only allow uploads into this folder and its subfolders')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Remove upload channel -> default Drive folder mapping
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('unmap-channel-folder')
+            .setDescription('Remove the default Google Drive folder for a channel')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload channel to unmap')
+                    .setRequired(true))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Set file name template for an upload channel
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-filename-template')
+            .setDescription('Set how uploaded files from a channel are named in Google Drive')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload channel to apply the template to')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('template')
+                    .setDescription('e.g. {date}_{author}_{channel}_{original}')
+                    .setRequired(true)
+                    .setMaxLength(150))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Clear file name template for an upload channel
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('clear-filename-template')
+            .setDescription('Stop applying a file name template to uploads from a channel')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload channel to clear the template for')
+                    .setRequired(true))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Set allowed file types and limits
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-file-policy')
+            .setDescription('Limit which files can be requested for upload, globally or for one channel')
+            .addStringOption(option =>
+                option.setName('allowed_types')
+                    .setDescription('Comma separated MIME types or extensions, e.g. image/*, psd ("any" to allow everything)')
+                    .setRequired(false))
+            .addNumberOption(option =>
+                option.setName('max_size_mb')
+                    .setDescription('Largest file size allowed, in MB (0 for no limit)')
+                    .setRequired(false)
+                    .setMinValue(0))
+            .addIntegerOption(option =>
+                option.setName('min_width')
+                    .setDescription('Smallest image width allowed, in pixels (0 for no limit)')
+                    .setRequired(false)
+                    .setMinValue(0))
+            .addIntegerOption(option =>
+                option.setName('min_height')
+                    .setDescription('Smallest image height allowed, in pixels (0 for no limit)')
+                    .setRequired(false)
+                    .setMinValue(0))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload channel to apply this to (omit to set the global policy)')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Clear file limits
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('clear-file-policy')
+            .setDescription('Remove a channel\'s file limits, or the global ones when no channel is given')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload channel to clear (omit to clear the global policy)')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Choose who can create folders from the DM picker
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-folder-creation')
+            .setDescription('Choose who can add new Drive folders while picking an upload location')
+            .addStringOption(option =>
+                option.setName('mode')
+                    .setDescription('Who can create folders')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Nobody', value: 'off' },
+                        { name: 'Officers only', value: 'officers' },
+                        { name: 'Everyone', value: 'everyone' }
+                    ))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Choose where upload pickers appear
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-workflow-mode')
+            .setDescription('Choose whether upload pickers open in DMs or privately in the upload channel')
+            .addStringOption(option =>
+                option.setName('mode')
+                    .setDescription('Where members pick folders and confirm uploads')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Direct messages', value: 'dm' },
+                        { name: 'In the channel (only visible to the requester)', value: 'channel' }
+                    ))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Hold officer uploads of someone else's work until the artist allows them
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-artist-consent')
+            .setDescription('Require the artist to allow uploads that an officer starts on their messages')
+            .addBooleanOption(option =>
+                option.setName('required')
+                    .setDescription('Hold officer-started uploads until the artist clicks Allow')
+                    .setRequired(true))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Add a preset deny reason
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('add-deny-reason')
+            .setDescription('Add a preset reason officers can choose when denying an upload')
+            .addStringOption(option =>
+                option.setName('reason')
+                    .setDescription('Reason shown to the requester (e.g. Please crop the watermark)')
+                    .setRequired(true)
+                    .setMaxLength(100))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Remove a preset deny reason
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('remove-deny-reason')
+            .setDescription('Remove a preset deny reason')
+            .addIntegerOption(option =>
+                option.setName('number')
+                    .setDescription('Number of the reason as listed in /show-config')
+                    .setRequired(true)
+                    .setMinValue(1))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
     // Force cache refresh
     commands.push(
         new SlashCommandBuilder()
@@ -106,11 +300,115 @@ function createAdminCommands() {
             .setDescription('Set the root Google Drive folder via share link (ADMIN ONLY)')
             .addStringOption(option =>
                 option.setName('link')
-                    .setDescription('Google Drive folder share link')
+                    .setDescription('Google Drive folder or Shared Drive link')
                     .setRequired(true))
             .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     );
 
+    // Set name collision policy (admin only)
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-collision-policy')
+            .setDescription('Set what happens when an uploaded file name already exists (ADMIN ONLY)')
+            .addStringOption(option =>
+                option.setName('policy')
+                    .setDescription('How to handle a file name that is already taken')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Auto-suffix (sketch (2).png)', value: 'suffix' },
+                        { name: 'Timestamp suffix (sketch_2024-01-31_12-00-00.png)', value: 'timestamp' },
+                        { name: 'Overwrite as new revision', value: 'overwrite' },
+                        { name: 'Reject the upload', value: 'reject' },
+                        { name: 'Use global default (channel only)', value: 'default' }
+                    ))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload channel to apply this to (omit to set the global default)')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    );
+
+    // Add an approval quorum rule (admin only)
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('add-quorum-rule')
+            .setDescription('Require several officer approvals for some folders or approval channels (ADMIN ONLY)')
+            .addIntegerOption(option =>
+                option.setName('approvals')
+                    .setDescription('Number of officer approvals required')
+                    .setRequired(true)
+                    .setMinValue(2)
+                    .setMaxValue(10))
+            .addStringOption(option =>
+                option.setName('folder')
+                    .setDescription('Folder pattern, e.g. Portfolio/** (* = one folder level, ** = any depth)')
+                    .setRequired(false))
+            .addChannelOption(option =>
+                option.setName('approval_channel')
+                    .setDescription('Only apply to requests posted in this approval channel')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    );
+
+    // Remove an approval quorum rule (admin only)
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('remove-quorum-rule')
+            .setDescription('Remove an approval quorum rule (ADMIN ONLY)')
+            .addIntegerOption(option =>
+                option.setName('number')
+                    .setDescription('Number of the rule as listed in /show-config')
+                    .setRequired(true)
+                    .setMinValue(1))
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    );
+
+    // Add an auto-approve rule (admin only)
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('add-auto-approve-rule')
+            .setDescription('Upload matching requests without officer approval (ADMIN ONLY)')
+            .addRoleOption(option =>
+                option.setName('role')
+                    .setDescription('Requester must have this role')
+                    .setRequired(false))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Upload must come from this channel')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('folder')
+                    .setDescription('Destination folder pattern, e.g. Artists/** (* = one folder level, ** = any depth)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('file_types')
+                    .setDescription('Comma separated MIME types or extensions, e.g. image/*, psd')
+                    .setRequired(false))
+            .addNumberOption(option =>
+                option.setName('max_size_mb')
+                    .setDescription('Largest file size allowed, in MB')
+                    .setRequired(false)
+                    .setMinValue(0.1))
+            .addBooleanOption(option =>
+                option.setName('allow_new_folders')
+                    .setDescription('Also auto-approve uploads into folders the requester created (default: no)')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    );
+
+    // Remove an auto-approve rule (admin only)
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('remove-auto-approve-rule')
+            .setDescription('Remove an auto-approve rule (ADMIN ONLY)')
+            .addIntegerOption(option =>
+                option.setName('number')
+                    .setDescription('Number of the rule as listed in /show-config')
+                    .setRequired(true)
+                    .setMinValue(1))
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    );
+
     // Google OAuth start (admin only)
     commands.push(
         new SlashCommandBuilder()
@@ -154,6 +452,109 @@ function createAdminCommands() {
             .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     );
 
+    // List requests waiting on officers
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('pending-uploads')
+            .setDescription('List upload requests waiting for officers, oldest first')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Remind officers about old requests
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-reminders')
+            .setDescription('Remind officers about upload requests left pending too long')
+            .addIntegerOption(option =>
+                option.setName('hours')
+                    .setDescription('Remind once a request has waited this many hours (0 to turn reminders off)')
+                    .setRequired(true)
+                    .setMinValue(0)
+                    .setMaxValue(720))
+            .addStringOption(option =>
+                option.setName('mode')
+                    .setDescription('How to remind')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Reply to each overdue approval message', value: 'ping' },
+                        { name: 'Post one digest per approval channel', value: 'digest' }
+                    ))
+            .addRoleOption(option =>
+                option.setName('role')
+                    .setDescription('Officer role to mention in reminders')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Expire abandoned requests
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('set-expiry')
+            .setDescription('Choose when unfinished or unanswered upload requests expire')
+            .addIntegerOption(option =>
+                option.setName('draft_hours')
+                    .setDescription('Expire DM drafts left untouched this many hours (0 = never)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(720))
+            .addIntegerOption(option =>
+                option.setName('approval_hours')
+                    .setDescription('Expire submitted requests no officer answered within this many hours (0 = never)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(2160))
+            .addIntegerOption(option =>
+                option.setName('history_days')
+                    .setDescription('Forget finished requests this many days after their last update (0 = keep)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(3650))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
+    // Browse the audit log
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('upload-history')
+            .setDescription('Show who requested, approved, denied or edited uploads')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Only show actions by or for this user')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('folder')
+                    .setDescription('Only show uploads in this folder (or a pattern like Artists/*)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('status')
+                    .setDescription('Only show one kind of action')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Submitted', value: AUDIT_ACTIONS.SUBMITTED },
+                        { name: 'Approval vote', value: AUDIT_ACTIONS.APPROVAL_VOTE },
+                        { name: 'Artist consent', value: AUDIT_ACTIONS.ARTIST_CONSENT },
+                        { name: 'Approved', value: AUDIT_ACTIONS.APPROVED },
+                        { name: 'Upload failed', value: AUDIT_ACTIONS.UPLOAD_FAILED },
+                        { name: 'Denied', value: AUDIT_ACTIONS.DENIED },
+                        { name: 'Skipped as duplicate', value: AUDIT_ACTIONS.SKIPPED },
+                        { name: 'Edited', value: AUDIT_ACTIONS.EDITED },
+                        { name: 'Resubmitted', value: AUDIT_ACTIONS.RESUBMITTED },
+                        { name: 'Cancelled', value: AUDIT_ACTIONS.CANCELLED },
+                        { name: 'Withdrawn', value: AUDIT_ACTIONS.WITHDRAWN },
+                        { name: 'Expired', value: AUDIT_ACTIONS.EXPIRED },
+                        { name: 'Admin command', value: AUDIT_ACTIONS.ADMIN_COMMAND }
+                    ))
+            .addStringOption(option =>
+                option.setName('from')
+                    .setDescription('Start date, YYYY-MM-DD')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('to')
+                    .setDescription('End date (inclusive), YYYY-MM-DD')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    );
+
     // Show config
     commands.push(
         new SlashCommandBuilder()
@@ -175,7 +576,7 @@ async function handleAdminCommand(interaction, driveService) {
     const { commandName, member } = interaction;
 
     // Check permissions
-    if (['set-root-folder', 'google-auth-start', 'google-auth-finish', 'set-officer-permission'].includes(commandName)) {
+    if (['set-root-folder', 'set-collision-policy', 'add-quorum-rule', 'remove-quorum-rule', 'add-auto-approve-rule', 'remove-auto-approve-rule', 'google-auth-start', 'google-auth-finish', 'set-officer-permission'].includes(commandName)) {
         if (!hasAdminPermissions(member)) {
             await interaction.reply({ content: '❌ This command requires Administrator permissions.', flags: MessageFlags.Ephemeral });
             return;
@@ -206,12 +607,60 @@ async function handleAdminCommand(interaction, driveService) {
             case 'map-approval-channel':
                 await handleMapApprovalChannel(interaction);
                 break;
+            case 'map-channel-folder':
+                await handleMapChannelFolder(interaction, driveService);
+                break;
+            case 'unmap-channel-folder':
+                await handleUnmapChannelFolder(interaction);
+                break;
+            case 'set-filename-template':
+                await handleSetFileNameTemplate(interaction);
+                break;
+            case 'clear-filename-template':
+                await handleClearFileNameTemplate(interaction);
+                break;
+            case 'set-file-policy':
+                await handleSetFilePolicy(interaction);
+                break;
+            case 'clear-file-policy':
+                await handleClearFilePolicy(interaction);
+                break;
+            case 'set-folder-creation':
+                await handleSetFolderCreation(interaction);
+                break;
+            case 'set-workflow-mode':
+                await handleSetWorkflowMode(interaction);
+                break;
+            case 'set-artist-consent':
+                await handleSetArtistConsent(interaction);
+                break;
+            case 'add-deny-reason':
+                await handleAddDenyReason(interaction);
+                break;
+            case 'remove-deny-reason':
+                await handleRemoveDenyReason(interaction);
+                break;
             case 'refresh-folders':
                 await handleRefreshFolders(interaction, driveService);
                 break;
             case 'set-root-folder':
                 await handleSetRootFolder(interaction, driveService);
                 break;
+            case 'set-collision-policy':
+                await handleSetCollisionPolicy(interaction);
+                break;
+            case 'add-quorum-rule':
+                await handleAddQuorumRule(interaction);
+                break;
+            case 'remove-quorum-rule':
+                await handleRemoveQuorumRule(interaction);
+                break;
+            case 'add-auto-approve-rule':
+                await handleAddAutoApproveRule(interaction);
+                break;
+            case 'remove-auto-approve-rule':
+                await handleRemoveAutoApproveRule(interaction);
+                break;
             case 'google-auth-start':
                 await handleGoogleAuthStart(interaction);
                 break;
@@ -224,8 +673,25 @@ async function handleAdminCommand(interaction, driveService) {
             case 'show-config':
                 await handleShowConfig(interaction);
                 break;
+            case 'upload-history':
+                await handleUploadHistory(interaction);
+                break;
+            case 'pending-uploads':
+                await handlePendingUploads(interaction);
+                break;
+            case 'set-reminders':
+                await handleSetReminders(interaction);
+                break;
+            case 'set-expiry':
+                await handleSetExpiry(interaction);
+                break;
             default:
                 await interaction.editReply('❌ Unknown command.');
+                return;
+        }
+
+        if (!READ_ONLY_COMMANDS.includes(commandName)) {
+            logEvent(AUDIT_ACTIONS.ADMIN_COMMAND, interaction.user.id, null, { details: describeCommand(interaction) });
         }
     } catch (error) {
         console.error(`❌ Error handling admin command ${commandName}:`, error);
@@ -233,6 +699,16 @@ async function handleAdminCommand(interaction, driveService) {
     }
 }
 
+/**
+ * Describe a command and its options for the audit log ("/add-upload-channel channel=123")
+ */
+function describeCommand(interaction) {
+    const options = interaction.options.data
+        .filter(option => !SECRET_OPTIONS.includes(option.name))
+        .map(option => `${option.name}=${option.value}`);
+    return [`/${interaction.commandName}`, ...options].join(' ');
+}
+
 async function handleSetUploadEmoji(interaction) {
     const emoji = interaction.options.getString('emoji');
     
@@ -243,11 +719,13 @@ async function handleSetUploadEmoji(interaction) {
 
 async function handleAddUploadChannel(interaction) {
     const channel = interaction.options.getChannel('channel');
+    const includeThreads = interaction.options.getBoolean('include_threads') ?? true;
     
-    const success = await config.addToArray('uploadChannels', channel.id);
+    const success = await config.addToArray('uploadChannels', channel.id)
+        && await config.setThreadUploads(channel.id, includeThreads);
     
     if (success) {
-        await interaction.editReply(`✅ Added ${channel} to upload channels list.`);
+        await interaction.editReply(`✅ Added ${channel} to upload channels list${includeThreads ? ', including its threads and forum posts' : ' (threads and forum posts excluded)'}.`);
     } else {
         await interaction.editReply(`❌ Failed to update configuration.`);
     }
@@ -256,7 +734,8 @@ async function handleAddUploadChannel(interaction) {
 async function handleRemoveUploadChannel(interaction) {
     const channel = interaction.options.getChannel('channel');
     
-    const success = await config.removeFromArray('uploadChannels', channel.id);
+    const success = await config.removeFromArray('uploadChannels', channel.id)
+        && await config.setThreadUploads(channel.id, true);
     
     if (success) {
         await interaction.editReply(`✅ Removed ${channel} from upload channels list.`);
@@ -278,6 +757,274 @@ async function handleMapApprovalChannel(interaction) {
     await interaction.editReply(`✅ Mapped ${uploadChannel} → ${approvalChannel} for approvals.`);
 }
 
+async function handleMapChannelFolder(interaction, driveService) {
+    const channel = interaction.options.getChannel('channel');
+    const folderPath = normalizeFolderPath(interaction.options.getString('path'));
+    const locked = interaction.options.getBoolean('lock') || false;
+
+    if (!folderPath) {
+        await interaction.editReply('❌ Please provide a folder path. Use `/unmap-channel-folder` to start uploads at the root again.');
+        return;
+    }
+
+    if (!driveService.findCachedFolderIdByPath(folderPath)) {
+        await interaction.editReply(`❌ Folder **${folderPath}** was not found in Google Drive. Check the path or run \`/refresh-folders\` first.`);
+        return;
+    }
+
+    await config.setChannelFolderMapping(channel.id, folderPath, locked);
+    await interaction.editReply(`✅ Uploads from ${channel} will start in **${folderPath}**${locked ? ' and are locked to that folder' : ''}.`);
+}
+
+async function handleUnmapChannelFolder(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    await config.removeChannelFolderMapping(channel.id);
+    await interaction.editReply(`✅ Uploads from ${channel} will start at the root folder.`);
+}
+
+const FOLDER_CREATION_LABELS = {
+    off: 'Nobody',
+    officers: 'Officers only',
+    everyone: 'Everyone'
+};
+
+async function handleSetFolderCreation(interaction) {
+    const mode = interaction.options.getString('mode');
+
+    if (!config.FOLDER_CREATION_MODES.includes(mode)) {
+        await interaction.editReply(`❌ Unknown folder creation mode: ${mode}`);
+        return;
+    }
+
+    await config.set('folderCreation', mode);
+    await interaction.editReply(`✅ Folder creation from the upload picker: **${FOLDER_CREATION_LABELS[mode]}**. New folders are only created in Google Drive when the upload is approved.`);
+}
+
+const WORKFLOW_MODE_LABELS = {
+    dm: 'Direct messages',
+    channel: 'In the channel (ephemeral)'
+};
+
+async function handleSetWorkflowMode(interaction) {
+    const mode = interaction.options.getString('mode');
+
+    if (!config.WORKFLOW_MODES.includes(mode)) {
+        await interaction.editReply(`❌ Unknown workflow mode: ${mode}`);
+        return;
+    }
+
+    await config.setWorkflowMode(interaction.guildId, mode);
+    await interaction.editReply(mode === 'channel'
+        ? '✅ Upload reactions now post a **Start Upload** prompt in the channel; the picker opens privately for the requester. If the prompt can\'t be posted, DMs are used instead.'
+        : '✅ Upload pickers are sent by **DM**. Members who block DMs get a **Start Upload** prompt in the channel instead.');
+}
+
+async function handleSetArtistConsent(interaction) {
+    const required = interaction.options.getBoolean('required');
+
+    await config.setArtistConsentRequired(interaction.guildId, required);
+    await interaction.editReply(required
+        ? '✅ Uploads an officer starts on someone else\'s message now wait until the artist clicks **Allow** in their DMs. If the artist declines, the request is closed.'
+        : '✅ Officer uploads no longer wait for the artist. Artists are still notified by DM when their work is submitted and uploaded.');
+}
+
+async function handleSetFileNameTemplate(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const template = interaction.options.getString('template').trim();
+
+    const unknown = findUnknownVariables(template);
+    if (unknown.length > 0) {
+        const available = Object.keys(TEMPLATE_VARIABLES).map(name => `\`{${name}}\``).join(', ');
+        await interaction.editReply(`❌ Unknown template variable(s): ${unknown.map(name => `\`{${name}}\``).join(', ')}\nAvailable: ${available}`);
+        return;
+    }
+
+    await config.setFileNameTemplate(channel.id, template);
+
+    const preview = renderFileNameTemplate(template, {
+        date: '2024-01-31',
+        time: '18-30',
+        author: interaction.user.username,
+        author_id: interaction.user.id,
+        channel: channel.name,
+        title: 'Dragon study',
+        tags: 'wip-fanart',
+        index: '1',
+        original: 'sketch.png',
+        name: 'sketch',
+        ext: 'png',
+        slug: 'dragon-wip'
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ File Name Template Updated')
+        .setDescription(`Uploads from ${channel} will be named using \`${template}\``)
+        .addFields(
+            { name: '👀 Example', value: `\`${preview}\``, inline: false },
+            { name: '🧩 Variables', value: Object.entries(TEMPLATE_VARIABLES).map(([name, desc]) => `\`{${name}}\` – ${desc}`).join('\n'), inline: false }
+        )
+        .setColor(0x27ae60)
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleClearFileNameTemplate(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    await config.removeFileNameTemplate(channel.id);
+    await interaction.editReply(`✅ Uploads from ${channel} will keep their original file names.`);
+}
+
+async function handleSetFilePolicy(interaction) {
+    const allowedTypes = interaction.options.getString('allowed_types');
+    const maxSizeMb = interaction.options.getNumber('max_size_mb');
+    const minWidth = interaction.options.getInteger('min_width');
+    const minHeight = interaction.options.getInteger('min_height');
+    const channel = interaction.options.getChannel('channel');
+
+    // Only the options given change; "any" and 0 lift a limit
+    const updates = {};
+    if (allowedTypes !== null) {
+        updates.allowedTypes = allowedTypes.trim().toLowerCase() === 'any'
+            ? []
+            : allowedTypes.split(',').map(type => type.trim()).filter(Boolean);
+    }
+    if (maxSizeMb !== null) updates.maxSize = maxSizeMb > 0 ? Math.round(maxSizeMb * 1024 * 1024) : null;
+    if (minWidth !== null) updates.minWidth = minWidth || null;
+    if (minHeight !== null) updates.minHeight = minHeight || null;
+
+    if (Object.keys(updates).length === 0) {
+        await interaction.editReply('❌ Give at least one of allowed_types, max_size_mb, min_width or min_height.');
+        return;
+    }
+
+    await config.setFilePolicy(updates, channel ? channel.id : null);
+
+    if (channel) {
+        await interaction.editReply(`✅ Uploads from ${channel} now accept: **${describeFilePolicy(getFilePolicyFor(channel.id))}** (including global limits it doesn't override).`);
+    } else {
+        await interaction.editReply(`✅ Global file policy: **${describeFilePolicy(getFilePolicyFor(null))}**`);
+    }
+}
+
+async function handleClearFilePolicy(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    await config.removeFilePolicy(channel ? channel.id : null);
+
+    if (channel) {
+        await interaction.editReply(`✅ ${channel} now uses the global file policy (**${describeFilePolicy(getFilePolicyFor(null))}**).`);
+    } else {
+        await interaction.editReply('✅ Cleared the global file policy. Channel policies still apply.');
+    }
+}
+
+async function handleAddDenyReason(interaction) {
+    const reason = interaction.options.getString('reason').trim();
+    const reasons = config.get('denyReasons') || [];
+
+    // The deny menu holds 25 options, one of which is "Write a custom reason"
+    if (reasons.length >= 24) {
+        await interaction.editReply('❌ You can have at most 24 preset deny reasons. Remove one first.');
+        return;
+    }
+
+    await config.addToArray('denyReasons', reason);
+    await interaction.editReply(`✅ Added preset deny reason: **${reason}**`);
+}
+
+async function handleRemoveDenyReason(interaction) {
+    const number = interaction.options.getInteger('number');
+    const reason = (config.get('denyReasons') || [])[number - 1];
+
+    if (!reason) {
+        await interaction.editReply(`❌ There is no preset deny reason #${number}. Use \`/show-config\` to see the list.`);
+        return;
+    }
+
+    await config.removeFromArray('denyReasons', reason);
+    await interaction.editReply(`✅ Removed preset deny reason: **${reason}**`);
+}
+
+/**
+ * Describe a quorum rule for replies and /show-config
+ */
+function describeQuorumRule(rule) {
+    const scope = [
+        rule.folder ? `folder \`${rule.folder}\`` : null,
+        rule.approvalChannelId ? `<#${rule.approvalChannelId}>` : null
+    ].filter(Boolean).join(' in ');
+    return `${rule.approvals} approvals for ${scope}`;
+}
+
+async function handleAddQuorumRule(interaction) {
+    const approvals = interaction.options.getInteger('approvals');
+    const folder = normalizeFolderPath(interaction.options.getString('folder')) || null;
+    const approvalChannel = interaction.options.getChannel('approval_channel');
+
+    if (!folder && !approvalChannel) {
+        await interaction.editReply('❌ Give a folder pattern, an approval channel, or both.');
+        return;
+    }
+
+    const rule = { folder, approvalChannelId: approvalChannel ? approvalChannel.id : null, approvals };
+    await config.addQuorumRule(rule);
+    await interaction.editReply(`✅ Added quorum rule: ${describeQuorumRule(rule)}. Requesters can't approve their own uploads under this rule.`);
+}
+
+async function handleRemoveQuorumRule(interaction) {
+    const number = interaction.options.getInteger('number');
+    const rule = (config.get('quorumRules') || [])[number - 1];
+
+    if (!rule) {
+        await interaction.editReply(`❌ There is no quorum rule #${number}. Use \`/show-config\` to see the list.`);
+        return;
+    }
+
+    await config.removeQuorumRule(number - 1);
+    await interaction.editReply(`✅ Removed quorum rule: ${describeQuorumRule(rule)}`);
+}
+
+async function handleAddAutoApproveRule(interaction) {
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+    const folder = normalizeFolderPath(interaction.options.getString('folder')) || null;
+    const fileTypes = (interaction.options.getString('file_types') || '')
+        .split(',')
+        .map(type => type.trim())
+        .filter(Boolean);
+    const maxSizeMb = interaction.options.getNumber('max_size_mb');
+
+    // A rule limited only by file type or size would wave through uploads from anyone, anywhere
+    if (!role && !channel && !folder) {
+        await interaction.editReply('❌ An auto-approve rule needs at least a role, a channel or a folder.');
+        return;
+    }
+
+    const rule = {
+        roleId: role ? role.id : null,
+        channelId: channel ? channel.id : null,
+        folder,
+        fileTypes,
+        maxSize: maxSizeMb ? Math.round(maxSizeMb * 1024 * 1024) : null,
+        allowNewFolders: interaction.options.getBoolean('allow_new_folders') === true
+    };
+    await config.addAutoApproveRule(rule);
+    await interaction.editReply(`✅ Added auto-approve rule: ${describeAutoApproveRule(rule)}. Quorum rules still take precedence.`);
+}
+
+async function handleRemoveAutoApproveRule(interaction) {
+    const number = interaction.options.getInteger('number');
+    const rule = (config.get('autoApproveRules') || [])[number - 1];
+
+    if (!rule) {
+        await interaction.editReply(`❌ There is no auto-approve rule #${number}. Use \`/show-config\` to see the list.`);
+        return;
+    }
+
+    await config.removeAutoApproveRule(number - 1);
+    await interaction.editReply(`✅ Removed auto-approve rule: ${describeAutoApproveRule(rule)}`);
+}
+
 async function handleRefreshFolders(interaction, driveService) {
     try {
         await driveService.refreshFolderCache();
@@ -291,8 +1038,8 @@ async function handleRefreshFolders(interaction, driveService) {
 async function handleSetRootFolder(interaction, driveService) {
     const link = interaction.options.getString('link');
     
-    // Extract folder ID from Google Drive link
-    const folderIdMatch = link.match(/\/folders\/([a-zA-Z0-9-_]+)/);
+    // Extract folder ID from Google Drive link (".../folders/<id>" for folders and Shared Drives, or "open?id=<id>")
+    const folderIdMatch = link.match(/\/folders\/([a-zA-Z0-9-_]+)/) || link.match(/[?&]id=([a-zA-Z0-9-_]+)/);
     if (!folderIdMatch) {
         await interaction.editReply('❌ Invalid Google Drive folder link. Please provide a valid share link.');
         return;
@@ -301,22 +1048,27 @@ async function handleSetRootFolder(interaction, driveService) {
     const folderId = folderIdMatch[1];
     
     try {
-        // Verify the folder exists and get its name
+        // Verify the folder exists and get its name and Shared Drive
         const folderInfo = await driveService.getFolderInfo(folderId);
         
         if (!folderInfo) {
-            await interaction.editReply('❌ Could not access the specified folder. Make sure the bot has permission to access it.');
+            await interaction.editReply('❌ Could not access the specified folder. Make sure the bot has permission to access it (for a Shared Drive, the bot\'s Google account must be a member).');
             return;
         }
         
-        // Update configuration (only ID)
+        // Update configuration; the drive scopes folder scans and uploads
         await config.set('rootFolderId', folderId);
+        await config.set('rootDriveId', folderInfo.driveId || '');
+        await config.set('rootDriveName', folderInfo.driveName || '');
         
         // Refresh folder cache with new root
         await driveService.setRootFolder(folderId);
         await driveService.refreshFolderCache();
         
-        await interaction.editReply(`✅ Root folder set to: **${folderInfo.name}**\nFolder cache refreshed with new root.`);
+        const location = folderInfo.driveId
+            ? (folderInfo.id === folderInfo.driveId ? ' (Shared Drive)' : ` in Shared Drive **${folderInfo.driveName}**`)
+            : '';
+        await interaction.editReply(`✅ Root folder set to: **${folderInfo.name}**${location}\nFolder cache refreshed with new root.`);
         
     } catch (error) {
         console.error('❌ Error setting root folder:', error);
@@ -324,6 +1076,41 @@ async function handleSetRootFolder(interaction, driveService) {
     }
 }
 
+const COLLISION_POLICY_LABELS = {
+    suffix: 'Auto-suffix',
+    timestamp: 'Timestamp suffix',
+    overwrite: 'Overwrite as new revision',
+    reject: 'Reject'
+};
+
+async function handleSetCollisionPolicy(interaction) {
+    const policy = interaction.options.getString('policy');
+    const channel = interaction.options.getChannel('channel');
+
+    if (policy === 'default') {
+        if (!channel) {
+            await interaction.editReply('❌ "Use global default" only applies to a channel override. Pick a channel to clear.');
+            return;
+        }
+        await config.removeCollisionPolicy(channel.id);
+        await interaction.editReply(`✅ ${channel} now uses the global collision policy (**${COLLISION_POLICY_LABELS[config.get('collisionPolicy')]}**).`);
+        return;
+    }
+
+    if (!config.COLLISION_POLICIES.includes(policy)) {
+        await interaction.editReply(`❌ Invalid collision policy: ${policy}`);
+        return;
+    }
+
+    await config.setCollisionPolicy(policy, channel ? channel.id : null);
+
+    if (channel) {
+        await interaction.editReply(`✅ Name collisions for uploads from ${channel} will use: **${COLLISION_POLICY_LABELS[policy]}**`);
+    } else {
+        await interaction.editReply(`✅ Global name collision policy set to: **${COLLISION_POLICY_LABELS[policy]}**`);
+    }
+}
+
 async function handleGoogleAuthStart(interaction) {
     // Generate random state string
     const state = crypto.randomBytes(16).toString('hex');
@@ -428,11 +1215,24 @@ async function handleShowConfig(interaction) {
         .setColor(0x3498db)
         .addFields(
             { name: '📤 Upload Emoji', value: currentConfig.uploadEmoji || '*(not set)*', inline: true },
-            { name: '📋 Upload Channels', value: currentConfig.uploadChannels.length > 0 ? currentConfig.uploadChannels.map(id => `<#${id}>`).join('\n') : '*(none)*', inline: true },
+            { name: '📋 Upload Channels', value: currentConfig.uploadChannels.length > 0 ? currentConfig.uploadChannels.map(id => `<#${id}>${(currentConfig.threadUploads || {})[id] === false ? ' (no threads)' : ''}`).join('\n') : '*(none)*', inline: true },
             { name: '✅ Default Approval', value: currentConfig.defaultApprovalChannelId ? `<#${currentConfig.defaultApprovalChannelId}>` : '*(not set)*', inline: true },
             { name: '📑 Channel Mappings', value: Object.keys(currentConfig.approvalMappings||{}).length > 0 ? Object.entries(currentConfig.approvalMappings).map(([u,a])=>`<#${u}> → <#${a}>`).join('\n') : '*(none)*', inline: false },
+            { name: '🗂️ Channel Folders', value: Object.keys(currentConfig.channelFolderMappings||{}).length > 0 ? Object.entries(currentConfig.channelFolderMappings).map(([c,m])=>`<#${c}> → ${m.path}${m.locked ? ' 🔒' : ''}`).join('\n') : '*(none)*', inline: false },
             { name: '👮 Officer Permission', value: currentConfig.officerPermission, inline: true },
             { name: '📁 Root Folder ID', value: currentConfig.rootFolderId || '*(not set)*', inline: true },
+            { name: '🗄️ Drive', value: currentConfig.rootDriveId ? `${currentConfig.rootDriveName || currentConfig.rootDriveId} (Shared Drive)` : 'My Drive', inline: true },
+            { name: '🏷️ File Name Templates', value: Object.keys(currentConfig.fileNameTemplates||{}).length > 0 ? Object.entries(currentConfig.fileNameTemplates).map(([c,t])=>`<#${c}>: \`${t}\``).join('\n') : '*(none)*', inline: false },
+            { name: '🧾 File Policies', value: [`Global: ${describeFilePolicy(getFilePolicyFor(null))}`, ...Object.keys(currentConfig.filePolicies||{}).map(c=>`<#${c}>: ${describeFilePolicy(getFilePolicyFor(c))}`)].join('\n').slice(0, 1024), inline: false },
+            { name: '🆕 Folder Creation', value: FOLDER_CREATION_LABELS[currentConfig.folderCreation] || currentConfig.folderCreation, inline: true },
+            { name: '💬 Workflow Mode', value: `${WORKFLOW_MODE_LABELS[(currentConfig.workflowModes||{})[interaction.guildId] || 'dm']}${Object.keys(currentConfig.userWorkflowModes||{}).length > 0 ? ` (${Object.keys(currentConfig.userWorkflowModes).length} member override(s))` : ''}`, inline: true },
+            { name: '🎨 Artist Consent', value: (currentConfig.artistConsent||{})[interaction.guildId] ? 'Required for officer uploads' : 'Not required (artists are notified)', inline: true },
+            { name: '📛 Name Collisions', value: [`Global: ${COLLISION_POLICY_LABELS[currentConfig.collisionPolicy] || currentConfig.collisionPolicy}`, ...Object.entries(currentConfig.collisionPolicies||{}).map(([c,p])=>`<#${c}>: ${COLLISION_POLICY_LABELS[p] || p}`)].join('\n'), inline: true },
+            { name: '👍 Approval Quorums', value: (currentConfig.quorumRules||[]).length > 0 ? currentConfig.quorumRules.map((r,i)=>`${i + 1}. ${describeQuorumRule(r)}`).join('\n').slice(0, 1024) : '*(one approval for everything)*', inline: false },
+            { name: '⚡ Auto-Approve Rules', value: (currentConfig.autoApproveRules||[]).length > 0 ? currentConfig.autoApproveRules.map((r,i)=>`${i + 1}. ${describeAutoApproveRule(r)}`).join('\n').slice(0, 1024) : '*(none)*', inline: false },
+            { name: '📝 Deny Reasons', value: (currentConfig.denyReasons||[]).length > 0 ? currentConfig.denyReasons.map((r,i)=>`${i + 1}. ${r}`).join('\n').slice(0, 1024) : '*(none, officers type a reason)*', inline: false },
+            { name: '⏰ Approval Reminders', value: describeReminders(currentConfig), inline: false },
+            { name: '⌛ Request Expiry', value: describeExpiry(currentConfig), inline: false },
             { name: '🔄 Cache Refresh Interval', value: `${Math.round(currentConfig.cacheRefreshInterval / 60000)} minutes`, inline: true }
         )
         .setTimestamp();
@@ -440,9 +1240,240 @@ async function handleShowConfig(interaction) {
     await interaction.editReply({ embeds: [embed] });
 }
 
+async function handlePendingUploads(interaction) {
+    const requests = await findOpenRequests();
+
+    // Per-channel counts first, so a quiet channel is visibly empty rather than missing
+    const channelIds = [...new Set([...config.getApprovalChannelIds(), ...requests.map(request => request.approvalChannelId).filter(Boolean)])];
+    const summary = channelIds
+        .map(id => `<#${id}>: **${requests.filter(request => request.approvalChannelId === id).length}** open`)
+        .join('\n');
+
+    let list = '';
+    for (let i = 0; i < requests.length; i++) {
+        const line = `${i + 1}. ${formatPendingRequest(requests[i])}\n`;
+        if (summary.length + list.length + line.length > 3900) {
+            list += `...and ${requests.length - i} more`;
+            break;
+        }
+        list += line;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(`⏳ Pending Upload Requests (${requests.length})`)
+        .setDescription(requests.length > 0
+            ? `${summary}\n\n${list.trim()}`
+            : `${summary ? `${summary}\n\n` : ''}Nothing is waiting for approval. 🎉`)
+        .setColor(requests.length > 0 ? 0xf39c12 : 0x27ae60)
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleSetReminders(interaction) {
+    const hours = interaction.options.getInteger('hours');
+    const mode = interaction.options.getString('mode');
+    const role = interaction.options.getRole('role');
+
+    const updates = { reminderHours: hours };
+    if (mode) updates.reminderMode = mode;
+    if (role) updates.reminderRoleId = role.id;
+    await config.updateConfig(updates);
+
+    if (hours === 0) {
+        await interaction.editReply('✅ Approval reminders turned off.');
+        return;
+    }
+
+    await interaction.editReply(`✅ Officers will be reminded about requests pending longer than **${hours} hours**: ${describeReminders(config.getConfig())}.`);
+}
+
+async function handleSetExpiry(interaction) {
+    const draftHours = interaction.options.getInteger('draft_hours');
+    const approvalHours = interaction.options.getInteger('approval_hours');
+    const historyDays = interaction.options.getInteger('history_days');
+
+    if (draftHours === null && approvalHours === null && historyDays === null) {
+        await interaction.editReply('❌ Give draft_hours, approval_hours, history_days, or a combination.');
+        return;
+    }
+
+    const updates = {};
+    if (draftHours !== null) updates.draftExpiryHours = draftHours;
+    if (approvalHours !== null) updates.approvalExpiryHours = approvalHours;
+    if (historyDays !== null) updates.historyRetentionDays = historyDays;
+    await config.updateConfig(updates);
+
+    await interaction.editReply(`✅ Request expiry updated: ${describeExpiry(config.getConfig())}. Expired requests are removed and their requesters notified.`);
+}
+
+/**
+ * Describe the expiry settings for replies and /show-config
+ */
+function describeExpiry(currentConfig) {
+    const drafts = currentConfig.draftExpiryHours ? `drafts after ${currentConfig.draftExpiryHours}h` : 'drafts never';
+    const approvals = currentConfig.approvalExpiryHours ? `unanswered requests after ${currentConfig.approvalExpiryHours}h` : 'unanswered requests never';
+    const history = currentConfig.historyRetentionDays ? `finished requests after ${currentConfig.historyRetentionDays} days` : 'finished requests never';
+    return `${drafts}, ${approvals}, ${history}`;
+}
+
+/**
+ * Describe the reminder settings for replies and /show-config
+ */
+function describeReminders(currentConfig) {
+    if (!currentConfig.reminderHours) return 'Off';
+    const how = currentConfig.reminderMode === 'digest' ? 'digest per approval channel' : 'reply to each approval message';
+    const who = currentConfig.reminderRoleId ? `, mentioning <@&${currentConfig.reminderRoleId}>` : '';
+    return `After ${currentConfig.reminderHours}h, ${how}${who}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD date option into a timestamp (start of that day, server time)
+ * @returns {number|null|undefined} - Timestamp, null when not given, undefined when invalid
+ */
+function parseDateOption(value, endOfDay = false) {
+    if (!value) return null;
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return undefined;
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (isNaN(date.getTime()) || date.getDate() !== Number(match[3])) return undefined;
+    if (endOfDay) date.setHours(23, 59, 59, 999);
+    return date.getTime();
+}
+
+// The query travels in the embed footer so the page buttons stay stateless
+function encodeHistoryQuery(query) {
+    return [query.userId, query.action, query.since, query.until, query.folder]
+        .map(value => value || '')
+        .join('|');
+}
+
+function decodeHistoryQuery(text) {
+    const [userId, action, since, until, ...folder] = (text || '').split('|');
+    return {
+        userId: userId || null,
+        action: action || null,
+        since: since ? Number(since) : null,
+        until: until ? Number(until) : null,
+        folder: folder.join('|') || null
+    };
+}
+
+/**
+ * Format one audit log entry as a line of the history embed
+ */
+function formatHistoryEntry(entry) {
+    const time = `<t:${Math.floor(Date.parse(entry.timestamp) / 1000)}:f>`;
+    const parts = [`${time} **${entry.action}** by <@${entry.actorId}>`];
+
+    if (entry.requestId) {
+        const location = entry.path ? `\`${entry.path}\`` : '*(root)*';
+        parts.push(`${entry.fileName || 'file'} → ${location}`);
+        if (entry.requesterId && entry.requesterId !== entry.actorId) parts.push(`for <@${entry.requesterId}>`);
+    }
+    if (entry.outcome) parts.push(`(${entry.outcome})`);
+    if (entry.details) parts.push(`- ${entry.details}`);
+
+    const line = parts.join(' ');
+    return line.length > 350 ? `${line.slice(0, 347)}...` : line;
+}
+
+/**
+ * Build one page of /upload-history output
+ */
+async function createHistoryMessage(query, page) {
+    const entries = await queryEvents(query);
+    const totalPages = Math.max(1, Math.ceil(entries.length / HISTORY_PAGE_SIZE));
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+
+    const pageEntries = entries.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE);
+    const filters = [
+        query.userId ? `user <@${query.userId}>` : null,
+        query.folder ? `folder \`${query.folder}\`` : null,
+        query.action ? `status **${query.action}**` : null,
+        query.since ? `from <t:${Math.floor(query.since / 1000)}:d>` : null,
+        query.until ? `to <t:${Math.floor(query.until / 1000)}:d>` : null
+    ].filter(Boolean);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`📜 Upload History (page ${page + 1}/${totalPages})`)
+        .setDescription([
+            `**${entries.length}** matching entr${entries.length === 1 ? 'y' : 'ies'}${filters.length > 0 ? ` for ${filters.join(', ')}` : ''}`,
+            '',
+            ...(pageEntries.length > 0 ? pageEntries.map(formatHistoryEntry) : ['*(nothing recorded yet)*'])
+        ].join('\n').slice(0, 4096))
+        .setColor(0x3498db)
+        .setFooter({ text: encodeHistoryQuery(query) })
+        .setTimestamp();
+
+    const buttonRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`history_page_${page - 1}`)
+            .setLabel('Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('◀️')
+            .setDisabled(page === 0),
+        new ButtonBuilder()
+            .setCustomId(`history_page_${page + 1}`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('▶️')
+            .setDisabled(page >= totalPages - 1),
+        new ButtonBuilder()
+            .setCustomId('history_export')
+            .setLabel('Export CSV')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('📄')
+            .setDisabled(entries.length === 0)
+    );
+
+    return { embeds: [embed], components: [buttonRow] };
+}
+
+async function handleUploadHistory(interaction) {
+    const user = interaction.options.getUser('user');
+    const since = parseDateOption(interaction.options.getString('from'));
+    const until = parseDateOption(interaction.options.getString('to'), true);
+
+    if (since === undefined || until === undefined) {
+        await interaction.editReply('❌ Dates must look like 2024-01-31.');
+        return;
+    }
+
+    const query = {
+        userId: user ? user.id : null,
+        folder: normalizeFolderPath(interaction.options.getString('folder')) || null,
+        action: interaction.options.getString('status'),
+        since,
+        until
+    };
+
+    await interaction.editReply(await createHistoryMessage(query, 0));
+}
+
+/**
+ * Handle the page and export buttons under /upload-history output
+ */
+async function handleHistoryButton(interaction) {
+    const query = decodeHistoryQuery(interaction.message.embeds[0]?.footer?.text);
+
+    if (interaction.customId === 'history_export') {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const entries = await queryEvents(query);
+        const file = new AttachmentBuilder(Buffer.from(toCsv(entries), 'utf8'), { name: 'upload-history.csv' });
+        await interaction.editReply({ content: `📄 Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`, files: [file] });
+        return;
+    }
+
+    const page = parseInt(interaction.customId.replace('history_page_', ''));
+    await interaction.update(await createHistoryMessage(query, page));
+}
+
 module.exports = {
     createAdminCommands,
     handleAdminCommand,
+    handleHistoryButton,
     hasOfficerPermissions,
     hasAdminPermissions
 }; 
\ No newline at end of file
@@ -0,0 +1,264 @@
+const { SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const config = require('../utils/config');
+const requestStore = require('../utils/requestStore');
+const optOutRegistry = require('../utils/optOutRegistry');
+const { getApprovalMessageLink } = require('../utils/helpers');
+
+const { REQUEST_STATUS } = requestStore;
+
+// Name of the message context-menu command that starts an upload
+const UPLOAD_CONTEXT_MENU = 'Upload to Drive';
+
+// Requests listed per status group in /my-uploads
+const MY_UPLOADS_PER_GROUP = 10;
+
+// Withdraw buttons fit two rows of five
+const MAX_WITHDRAW_BUTTONS = 10;
+
+// How /my-uploads groups a requester's requests (drafts and withdrawn requests aren't listed)
+const STATUS_GROUPS = [
+    { name: '⏳ Pending Approval', statuses: [REQUEST_STATUS.SUBMITTED] },
+    { name: '⚠️ Failed (officers can retry)', statuses: [REQUEST_STATUS.FAILED] },
+    { name: '✅ Approved', statuses: [REQUEST_STATUS.APPROVED, REQUEST_STATUS.SKIPPED] },
+    { name: '❌ Denied', statuses: [REQUEST_STATUS.DENIED] }
+];
+
+/**
+ * Create slash commands available to every user (in guilds and DMs)
+ */
+function createUserCommands() {
+    const commands = [];
+
+    // Check on your own upload requests
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('my-uploads')
+            .setDescription('Check the status of your upload requests')
+    );
+
+    // Choose where your own upload pickers appear
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('upload-preference')
+            .setDescription('Choose whether your upload pickers open in DMs or privately in the channel')
+            .addStringOption(option =>
+                option.setName('mode')
+                    .setDescription('Where you pick folders and confirm uploads')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Direct messages', value: 'dm' },
+                        { name: 'In the channel (only visible to you)', value: 'channel' },
+                        { name: 'Server default', value: 'default' }
+                    ))
+    );
+
+    // Keep your work out of the shared Drive
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('drive-opt-out')
+            .setDescription('Stop others from uploading your work to Google Drive')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Only opt out in this upload channel (omit to opt out everywhere)')
+                    .setRequired(false))
+    );
+
+    commands.push(
+        new SlashCommandBuilder()
+            .setName('drive-opt-in')
+            .setDescription('Allow officers to upload your work to Google Drive again')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Only opt back in for this upload channel (omit to remove every opt-out)')
+                    .setRequired(false))
+    );
+
+    // Usable from the bot's DMs as well as servers
+    commands.forEach(cmd => cmd.setDMPermission(true));
+
+    // Right-click a message > Apps > Upload to Drive (upload channels only, so not in DMs)
+    commands.push(
+        new ContextMenuCommandBuilder()
+            .setName(UPLOAD_CONTEXT_MENU)
+            .setType(ApplicationCommandType.Message)
+            .setDMPermission(false)
+    );
+
+    return commands;
+}
+
+/**
+ * Format one request as a line of /my-uploads
+ */
+function formatRequestLine(request) {
+    const location = request.currentPath ? `\`${request.currentPath}\`` : '*(root)*';
+    const time = `<t:${Math.floor((request.decidedAt || request.submittedAt || request.createdAt) / 1000)}:R>`;
+
+    if (request.status === REQUEST_STATUS.APPROVED || request.status === REQUEST_STATUS.SKIPPED) {
+        const name = request.webViewLink ? `[${request.fileName}](${request.webViewLink})` : request.fileName;
+        const note = request.status === REQUEST_STATUS.SKIPPED ? ' (already in Drive)' : '';
+        return `${name} → ${location}${note} ${time}`;
+    }
+
+    const link = getApprovalMessageLink(request);
+    const name = link ? `[${request.fileName}](${link})` : request.fileName;
+    let line = `${name} → ${location} ${time}`;
+
+    if (request.status === REQUEST_STATUS.SUBMITTED && request.approvalsRequired > 1) {
+        line += ` (${(request.approvals || []).length}/${request.approvalsRequired} approvals)`;
+    }
+    if (request.status === REQUEST_STATUS.DENIED && request.denyReason) {
+        line += ` - ${request.denyReason.length > 80 ? `${request.denyReason.slice(0, 77)}...` : request.denyReason}`;
+    }
+    return line;
+}
+
+/**
+ * Build the /my-uploads overview for a user, with Withdraw buttons for pending requests
+ */
+async function createMyUploadsMessage(userId) {
+    const statuses = STATUS_GROUPS.flatMap(group => group.statuses);
+    const requests = (await requestStore.findRequests(request => request.userId === userId && statuses.includes(request.status)))
+        .sort((a, b) => (b.submittedAt || b.createdAt) - (a.submittedAt || a.createdAt));
+
+    const embed = new EmbedBuilder()
+        .setTitle('📋 My Upload Requests')
+        .setColor(0x3498db)
+        .setTimestamp();
+
+    if (requests.length === 0) {
+        embed.setDescription('You have no upload requests yet. React to an asset in an upload channel to start one.');
+        return { embeds: [embed], components: [] };
+    }
+
+    for (const group of STATUS_GROUPS) {
+        const matching = requests.filter(request => group.statuses.includes(request.status));
+        if (matching.length === 0) continue;
+
+        let value = '';
+        for (let i = 0; i < Math.min(matching.length, MY_UPLOADS_PER_GROUP); i++) {
+            const line = `${formatRequestLine(matching[i])}\n`;
+            if (value.length + line.length > 1000) break;
+            value += line;
+        }
+        const shown = value.trim().split('\n').length;
+        if (matching.length > shown) {
+            value += `*...and ${matching.length - shown} older*`;
+        }
+
+        embed.addFields({ name: `${group.name} (${matching.length})`, value: value.trim(), inline: false });
+    }
+
+    const pending = requests.filter(request => request.status === REQUEST_STATUS.SUBMITTED).slice(0, MAX_WITHDRAW_BUTTONS);
+    const components = [];
+    for (let i = 0; i < pending.length; i += 5) {
+        components.push(new ActionRowBuilder().addComponents(
+            pending.slice(i, i + 5).map(request => new ButtonBuilder()
+                .setCustomId(`withdraw_${request.requestId}`)
+                .setLabel(`Withdraw ${request.fileName.length > 60 ? `${request.fileName.slice(0, 57)}...` : request.fileName}`)
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('↩️'))
+        ));
+    }
+
+    return { embeds: [embed], components };
+}
+
+async function handleUploadPreference(interaction) {
+    const mode = interaction.options.getString('mode');
+
+    if (mode === 'default') {
+        await config.setUserWorkflowMode(interaction.user.id, null);
+        await interaction.editReply('✅ Your uploads follow the server\'s workflow mode again.');
+        return;
+    }
+
+    await config.setUserWorkflowMode(interaction.user.id, mode);
+    await interaction.editReply(mode === 'channel'
+        ? '✅ Reacting to an upload now posts a **Start Upload** button in the channel; your picker opens there, visible only to you.'
+        : '✅ Your upload pickers will be sent by **DM**. If your DMs are closed, you\'ll get a **Start Upload** button in the channel instead.');
+}
+
+/**
+ * Describe a user's opt-out for command replies
+ */
+function describeOptOut(entry) {
+    if (!entry) return 'Officers can upload your work from any upload channel.';
+    if (entry.everywhere) return 'Nobody else can upload your work from any channel.';
+    return `Nobody else can upload your work from ${entry.channelIds.map(id => `<#${id}>`).join(', ')}.`;
+}
+
+/**
+ * Get the upload channel a /drive-opt-out or /drive-opt-in channel option refers to (threads count as their parent)
+ */
+function getOptionUploadChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    if (!channel) return { channel: null, uploadChannelId: null };
+    return { channel, uploadChannelId: config.getUploadChannelFor(channel) };
+}
+
+async function handleOptOut(interaction) {
+    const { channel, uploadChannelId } = getOptionUploadChannel(interaction);
+    if (channel && !uploadChannelId) {
+        await interaction.editReply(`❌ <#${channel.id}> is not an upload channel.`);
+        return;
+    }
+
+    const entry = await optOutRegistry.optOut(interaction.user.id, uploadChannelId);
+    console.log(`🚫 ${interaction.user.tag} opted out of uploads ${channel ? `in #${channel.name}` : 'everywhere'}`);
+    await interaction.editReply(`✅ Opted out. ${describeOptOut(entry)} You can still upload your own work yourself. Use \`/drive-opt-in\` to undo this.`);
+}
+
+async function handleOptIn(interaction) {
+    const { channel, uploadChannelId } = getOptionUploadChannel(interaction);
+    const current = await optOutRegistry.getOptOut(interaction.user.id);
+
+    if (!current) {
+        await interaction.editReply(`ℹ️ You haven't opted out. ${describeOptOut(null)}`);
+        return;
+    }
+    if (channel && current.everywhere) {
+        await interaction.editReply('❌ You are opted out everywhere. Use `/drive-opt-in` without a channel to opt back in, then `/drive-opt-out` with the channels you want to keep excluded.');
+        return;
+    }
+
+    const entry = await optOutRegistry.optIn(interaction.user.id, channel ? uploadChannelId || channel.id : null);
+    console.log(`✅ ${interaction.user.tag} opted back in to uploads ${channel ? `in #${channel.name}` : 'everywhere'}`);
+    await interaction.editReply(`✅ Opted back in. ${describeOptOut(entry)}`);
+}
+
+/**
+ * Handle user command interactions
+ */
+async function handleUserCommand(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+        switch (interaction.commandName) {
+            case 'my-uploads':
+                await interaction.editReply(await createMyUploadsMessage(interaction.user.id));
+                break;
+            case 'upload-preference':
+                await handleUploadPreference(interaction);
+                break;
+            case 'drive-opt-out':
+                await handleOptOut(interaction);
+                break;
+            case 'drive-opt-in':
+                await handleOptIn(interaction);
+                break;
+            default:
+                await interaction.editReply('❌ Unknown command.');
+        }
+    } catch (error) {
+        console.error(`❌ Error handling user command ${interaction.commandName}:`, error);
+        await interaction.editReply('❌ An error occurred while processing the command.');
+    }
+}
+
+module.exports = {
+    createUserCommands,
+    handleUserCommand,
+    createMyUploadsMessage,
+    UPLOAD_CONTEXT_MENU
+};
@@ -1,14 +1,21 @@
 require('dotenv').config({ override: true });
-const { Client, GatewayIntentBits, Events, PermissionsBitField, Partials, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, Events, PermissionsBitField, Partials, REST, Routes, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle, RESTJSONErrorCodes } = require('discord.js');
 const GoogleDriveService = require('./services/googleDrive');
 
 // Import config and handlers
 const config = require('./utils/config');
-const { canTriggerUpload, getFileNameFromUrl, safeDM } = require('./utils/helpers');
+const requestStore = require('./utils/requestStore');
+const optOutRegistry = require('./utils/optOutRegistry');
+const { canTriggerUpload, safeDM } = require('./utils/helpers');
+const { partitionAttachments, describeRejections } = require('./utils/filePolicy');
+const { getMessageSources, resolveSources } = require('./utils/messageSources');
 const { sendAttachmentSelectionMessage, handleAttachmentSelection } = require('./interactions/attachments');
-const { sendFolderSelectionMessage, extractRequestFromDMEmbed } = require('./interactions/uploadWorkflow');
-const { createApprovalEmbed, createApprovalButtons } = require('./interactions/approval');
+const { sendFolderSelectionMessage, buildUploadRequest } = require('./interactions/uploadWorkflow');
+const { createApprovalEmbed, createApprovalMessage, createGalleryEmbeds } = require('./interactions/approval');
 const { createAdminCommands, handleAdminCommand } = require('./commands/admin');
+const { createUserCommands, handleUserCommand, UPLOAD_CONTEXT_MENU } = require('./commands/user');
+const { startReminderScheduler } = require('./services/reminders');
+const { startExpiryScheduler } = require('./services/expiry');
 
 // Initialize Discord client
 const client = new Client({
@@ -32,13 +39,12 @@ const driveService = new GoogleDriveService();
 
 // Configuration will be loaded from config.json
 
-// In-memory storage for upload requests (only needed for modal submissions due to Discord API limitations)
-// Main workflow is now fully stateless using DM message IDs as request IDs
-const uploadRequests = new Map();
+// Upload requests are persisted in config/requests.json via the request store,
+// so DM and approval workflows survive restarts
 
 // Wrapper function to maintain compatibility with upload workflow module
-async function sendFolderSelectionMessageWrapper(user, requestId, interaction = null) {
-    return await sendFolderSelectionMessage(user, requestId, interaction, uploadRequests, driveService);
+async function sendFolderSelectionMessageWrapper(user, requestId, interaction = null, options = {}) {
+    return await sendFolderSelectionMessage(user, requestId, interaction, requestStore, driveService, options);
 }
 
 // ================================
@@ -48,6 +54,14 @@ async function sendFolderSelectionMessageWrapper(user, requestId, interaction =
 client.once(Events.ClientReady, async (readyClient) => {
     // Load configuration
     await config.loadConfig();
+    try {
+        await requestStore.loadRequests();
+    } catch (error) {
+        // Running on an empty store would overwrite every pending request on the next save
+        console.error('❌ Stopping: fix or restore config/requests.json (removing it starts with no requests and orphans pending approval messages), then restart the bot.');
+        await readyClient.destroy();
+        process.exit(1);
+    }
     
     console.log(`Discord Art Upload Bot is ready!`);
     console.log(`Logged in as ${readyClient.user.tag}`);
@@ -56,6 +70,11 @@ client.once(Events.ClientReady, async (readyClient) => {
     console.log(`Upload emoji: ${config.get('uploadEmoji')}`);
     console.log(`Officer permission: ${config.get('officerPermission')}`);
     console.log(`Root folder ID: ${config.get('rootFolderId') || 'Not configured'}`);
+    console.log(`Approval reminders: ${config.get('reminderHours') ? `after ${config.get('reminderHours')}h (${config.get('reminderMode')})` : 'off'}`);
+
+    // Remind officers about requests left pending too long, and expire abandoned ones
+    startReminderScheduler(readyClient);
+    startExpiryScheduler(readyClient);
     
     // Validate officer permission
     const officerPermission = config.get('officerPermission');
@@ -66,7 +85,7 @@ client.once(Events.ClientReady, async (readyClient) => {
     
     // Register slash commands (only if they don't exist or need updates)
     try {
-        const commands = createAdminCommands();
+        const commands = [...createAdminCommands(), ...createUserCommands()];
         const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
         
         console.log('🔄 Checking admin slash commands...');
@@ -91,6 +110,18 @@ client.once(Events.ClientReady, async (readyClient) => {
         try {
             await driveService.setRootFolder(rootFolderId);
             console.log(`📁 Using root folder ID: ${config.get('rootFolderId')}`);
+
+            // Roots set before Shared Drive support have no drive recorded; also picks up renamed drives
+            const folderInfo = await driveService.getFolderInfo(rootFolderId);
+            if (folderInfo) {
+                if ((folderInfo.driveId || '') !== config.get('rootDriveId') || (folderInfo.driveName || '') !== config.get('rootDriveName')) {
+                    await config.set('rootDriveId', folderInfo.driveId || '');
+                    await config.set('rootDriveName', folderInfo.driveName || '');
+                }
+                if (folderInfo.driveId) {
+                    console.log(`🗄️ Root folder is in Shared Drive: ${folderInfo.driveName}`);
+                }
+            }
         } catch (error) {
             console.error('❌ Error setting root folder:', error);
         }
@@ -117,6 +148,160 @@ client.once(Events.ClientReady, async (readyClient) => {
     }
 });
 
+// How long an in-channel "Start Upload" prompt stays up before it is cleaned up
+const CHANNEL_PROMPT_LIFETIME = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Check whether an error means the user doesn't accept DMs from the bot
+ */
+function isDMBlocked(error) {
+    return error && error.code === RESTJSONErrorCodes.CannotSendMessagesToThisUser;
+}
+
+/**
+ * Post a short prompt in the upload channel whose button opens the picker as an ephemeral reply
+ *
+ * Reactions can't be answered ephemerally, so this is how the in-channel workflow starts from one.
+ * @returns {boolean} - Whether the prompt was posted
+ */
+async function sendChannelPrompt(user, message) {
+    const button = new ButtonBuilder()
+        .setCustomId(`start_upload_${user.id}_${message.id}`)
+        .setLabel('Start Upload')
+        .setStyle(ButtonStyle.Primary)
+        .setEmoji('📤');
+
+    try {
+        const prompt = await message.reply({
+            content: `📤 <@${user.id}>, click below to choose where this goes in Google Drive. Only you will see the next steps.`,
+            components: [new ActionRowBuilder().addComponents(button)],
+            allowedMentions: { users: [user.id] }
+        });
+
+        setTimeout(() => {
+            prompt.delete().catch(() => {});
+        }, CHANNEL_PROMPT_LIFETIME);
+
+        return true;
+    } catch (error) {
+        console.error(`⚠️ Could not post upload prompt for ${user.tag} in ${message.channel.id}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Start an upload request for a message's attachments (from the upload reaction or the context menu)
+ *
+ * With an interaction, feedback and the pickers appear as its ephemeral reply instead of DMs.
+ */
+async function startUploadRequest(user, message, interaction = null) {
+    const notify = async content => interaction
+        ? await interaction.editReply({ content })
+        : await safeDM(user, content);
+
+    // Validation checks (threads and forum posts count as their parent upload channel)
+    const uploadChannelId = config.getUploadChannelFor(message.channel);
+    if (!uploadChannelId) {
+        await notify('❌ Upload requests are only allowed in designated art channels.');
+        return;
+    }
+
+    // Check if user has permission to trigger upload requests
+    const permissionCheck = await canTriggerUpload(user, message);
+    if (!permissionCheck.canUpload) {
+        console.log(`⚠️ Upload request ignored: ${user.tag} (${permissionCheck.reason}) on message ${message.id}`);
+        if (interaction) {
+            await notify('❌ You can only upload your own messages unless you are an officer.');
+        }
+        return;
+    }
+
+    // Artists who opted out can still upload their own work; nobody else can
+    let optedOut = false;
+    try {
+        optedOut = user.id !== message.author.id && await optOutRegistry.isOptedOut(message.author.id, uploadChannelId);
+    } catch (error) {
+        await notify('❌ Uploads of other members\' work are paused because the opt-out list could not be read. Please let an admin know.');
+        return;
+    }
+    if (optedOut) {
+        console.log(`🚫 Upload request refused: ${message.author.tag} opted out (requested by ${user.tag} on message ${message.id})`);
+        await notify(`🚫 **${message.author.displayName}** has opted out of having their work copied to Google Drive from <#${uploadChannelId}>, so this upload can't be requested. Only they can upload it themselves.`);
+        return;
+    }
+
+    console.log(`✅ Upload request initiated by ${user.tag} (${permissionCheck.reason}) on message ${message.id}`);
+
+    // Attachments, embed media and links in the text all count
+    const messageSources = getMessageSources(message);
+    if (messageSources.length === 0) {
+        await notify('❌ You can only upload messages that contain files, image or video embeds, or links to images or videos.');
+        return;
+    }
+
+    // Check what links and embeds point at, then reject files the channel's file policy
+    // doesn't allow, before any request is created
+    const { sources, rejected: unavailable } = await resolveSources(messageSources);
+    const { allowed, rejected: notAllowed } = partitionAttachments(sources, uploadChannelId);
+    const rejected = [...unavailable, ...notAllowed].sort((a, b) => a.index - b.index);
+
+    if (allowed.length === 0) {
+        console.log(`⚠️ Upload request rejected by file policy: ${user.tag} on message ${message.id}`);
+        await notify(`${describeRejections(rejected)}\n\nAsk an officer if you think this file should be allowed.`);
+        return;
+    }
+
+    // In-channel mode answers reactions with a prompt instead of DMing; DMs stay the fallback if it can't be posted.
+    // It comes after the policy check so nobody is prompted to upload files that would be refused
+    if (!interaction && config.getWorkflowModeFor(message.guildId, user.id) === 'channel' && await sendChannelPrompt(user, message)) {
+        return;
+    }
+
+    // Handle single uploadable attachment - direct to upload flow
+    if (allowed.length === 1) {
+        const { attachment, index } = allowed[0];
+
+        if (rejected.length > 0) {
+            const note = `${describeRejections(rejected)}\n\nThe remaining file will go through the upload process.`;
+            if (interaction) {
+                await interaction.followUp({ content: note, flags: MessageFlags.Ephemeral });
+            } else {
+                await safeDM(user, note);
+            }
+        }
+
+        let request = null;
+        try {
+            request = await requestStore.createRequest({
+                ...buildUploadRequest(user, message, attachment, index),
+                ephemeralPicker: Boolean(interaction)
+            });
+
+            await sendFolderSelectionMessageWrapper(user, request.requestId, interaction);
+        } catch (error) {
+            if (!interaction && isDMBlocked(error)) {
+                // The draft never reached the user; the channel prompt starts a fresh one
+                if (request) await requestStore.deleteRequest(request.requestId);
+                await sendChannelPrompt(user, message);
+                return;
+            }
+            console.error('❌ Error sending upload request to user:', error);
+        }
+        return;
+    }
+
+    // Handle multiple files - show selection menu
+    try {
+        await sendAttachmentSelectionMessage(user, message, { allowed, rejected }, interaction);
+    } catch (error) {
+        if (!interaction && isDMBlocked(error)) {
+            await sendChannelPrompt(user, message);
+            return;
+        }
+        console.error('❌ Error sending attachment selection to user:', error);
+    }
+}
+
 // Handle message reactions (upload requests)
 client.on(Events.MessageReactionAdd, async (reaction, user) => {
     // Ignore bot reactions
@@ -147,70 +332,54 @@ client.on(Events.MessageReactionAdd, async (reaction, user) => {
         return;
     }
 
-    // Validation checks
-    const uploadChannels = config.get('uploadChannels');
-    if (!uploadChannels.includes(reaction.message.channel.id)) {
-        await safeDM(user, '❌ Upload requests are only allowed in designated art channels.');
-        return;
-    }
+    await startUploadRequest(user, reaction.message);
+});
 
-    // Check if user has permission to trigger upload requests
-    const permissionCheck = await canTriggerUpload(user, reaction.message);
-    if (!permissionCheck.canUpload) {
-        console.log(`⚠️ Upload reaction ignored: ${user.tag} (${permissionCheck.reason}) on message ${reaction.message.id}`);
+// Handle "Start Upload" buttons on in-channel prompts
+client.on(Events.InteractionCreate, async interaction => {
+    if (!interaction.isButton() || !interaction.customId.startsWith('start_upload_')) return;
+
+    const [userId, messageId] = interaction.customId.replace('start_upload_', '').split('_');
+    if (interaction.user.id !== userId) {
+        await interaction.reply({
+            content: `❌ This prompt is for <@${userId}>. Use Apps → ${UPLOAD_CONTEXT_MENU} on a message to start your own upload.`,
+            flags: MessageFlags.Ephemeral
+        });
         return;
     }
 
-    console.log(`✅ Upload request initiated by ${user.tag} (${permissionCheck.reason}) on message ${reaction.message.id}`);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-    if (reaction.message.attachments.size === 0) {
-        await safeDM(user, '❌ You can only upload messages that contain file attachments.');
+    let message;
+    try {
+        message = await interaction.channel.messages.fetch(messageId);
+    } catch (error) {
+        await interaction.editReply({ content: '❌ The original message no longer exists.' });
+        await interaction.message.delete().catch(() => {});
         return;
     }
 
-    // Get all attachments
-    const attachments = Array.from(reaction.message.attachments.values());
-
-    if (attachments.length === 0) {
-        await safeDM(user, '❌ No file attachments found in that message.');
-        return;
+    try {
+        await startUploadRequest(interaction.user, message, interaction);
+        // The picker lives in the ephemeral reply now, so the public prompt can go
+        await interaction.message.delete().catch(() => {});
+    } catch (error) {
+        console.error('❌ Error starting upload from channel prompt:', error);
+        await interaction.editReply({ content: '❌ Could not start the upload request.' });
     }
+});
 
-    // Handle single attachment - direct to upload flow
-    if (attachments.length === 1) {
-        const attachment = attachments[0];
-        const originalFileName = getFileNameFromUrl(attachment.url);
-        const request = {
-            userId: user.id,
-            messageId: reaction.message.id,
-            channelId: reaction.message.channel.id,
-            attachmentUrl: attachment.url,
-            originalFileName: originalFileName,
-            fileSize: attachment.size,
-            contentType: attachment.contentType,
-            timestamp: Date.now(),
-            currentPath: '',
-            fileName: originalFileName,
-            description: ''
-        };
+// Handle the "Upload to Drive" message context menu (no reaction or DMs needed)
+client.on(Events.InteractionCreate, async interaction => {
+    if (!interaction.isMessageContextMenuCommand() || interaction.commandName !== UPLOAD_CONTEXT_MENU) return;
 
-        try {
-            const requestId = Date.now().toString() + '_' + user.id;
-            request.requestId = requestId;
-            uploadRequests.set(requestId, request);
-            
-            await sendFolderSelectionMessageWrapper(user, requestId);
-        } catch (error) {
-            console.error('❌ Error sending upload request to user:', error);
-        }
-        return;
-    }
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-    // Handle multiple attachments - show selection menu
     try {
-        await sendAttachmentSelectionMessage(user, reaction.message, attachments);
+        await startUploadRequest(interaction.user, interaction.targetMessage, interaction);
     } catch (error) {
-        console.error('❌ Error sending attachment selection to user:', error);
+        console.error('❌ Error starting upload from context menu:', error);
+        await interaction.editReply({ content: '❌ Could not start the upload request.' });
     }
 });
 
@@ -220,20 +389,24 @@ client.on(Events.InteractionCreate, async interaction => {
     
     const adminCommands = [
         'set-upload-emoji', 'add-upload-channel', 'remove-upload-channel',
-        'set-default-approval-channel', 'map-approval-channel', 'refresh-folders', 'set-root-folder', 'show-config', 'google-auth-start', 'google-auth-finish', 'set-officer-permission'
+        'set-default-approval-channel', 'map-approval-channel', 'map-channel-folder', 'unmap-channel-folder', 'refresh-folders', 'set-root-folder', 'set-collision-policy', 'add-quorum-rule', 'remove-quorum-rule', 'add-auto-approve-rule', 'remove-auto-approve-rule', 'set-filename-template', 'clear-filename-template', 'set-file-policy', 'clear-file-policy', 'set-folder-creation', 'set-workflow-mode', 'set-artist-consent', 'add-deny-reason', 'remove-deny-reason', 'show-config', 'upload-history', 'pending-uploads', 'set-reminders', 'set-expiry', 'google-auth-start', 'google-auth-finish', 'set-officer-permission'
     ];
     
+    const userCommands = ['my-uploads', 'upload-preference', 'drive-opt-out', 'drive-opt-in'];
+    
     if (adminCommands.includes(interaction.commandName)) {
         await handleAdminCommand(interaction, driveService);
+    } else if (userCommands.includes(interaction.commandName)) {
+        await handleUserCommand(interaction);
     }
 });
 
 // Load and configure the interaction handlers
-require('./interactions/interactions')(client, uploadRequests, driveService, {
+require('./interactions/interactions')(client, requestStore, driveService, {
     sendFolderSelectionMessage: sendFolderSelectionMessageWrapper,
-    extractRequestFromDMEmbed,
     createApprovalEmbed,
-    createApprovalButtons,
+    createApprovalMessage,
+    createGalleryEmbeds,
     handleAttachmentSelection
 });
 
@@ -1,12 +1,37 @@
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
 
-const { formatFileSize } = require('../utils/helpers');
+const { formatFileSize, getPendingFoldersOnPath, isOfficerInitiated } = require('../utils/helpers');
+const { REQUEST_STATUS } = require('../utils/requestStore');
+
+// Discord merges up to 4 embeds that share a URL into one image gallery
+const GALLERY_SIZE = 4;
+
+/**
+ * Link to the Discord message a request was started from
+ */
+function getSourceMessageLink(request) {
+    return `https://discord.com/channels/${request.guildId}/${request.channelId}/${request.messageId}`;
+}
+
+/**
+ * Get the image URLs to preview for a batch request (included files only)
+ */
+function getGalleryImages(request) {
+    return (request.items || [])
+        .filter(item => item.included && (item.contentType || '').startsWith('image/'))
+        .slice(0, GALLERY_SIZE)
+        .map(item => item.attachmentUrl);
+}
 
 /**
  * Create approval embed for officer channel
  */
-function createApprovalEmbed(user, request, dmMessageId) {
-    return new EmbedBuilder()
+function createApprovalEmbed(user, request) {
+    if (request.batch) {
+        return createBatchApprovalEmbed(user, request);
+    }
+
+    const embed = new EmbedBuilder()
         .setTitle('📤 Upload Request for Approval')
         .setDescription(`**${user.displayName}** wants to upload a file to Google Drive`)
         .addFields(
@@ -14,32 +39,350 @@ function createApprovalEmbed(user, request, dmMessageId) {
             { name: '📁 File Name', value: request.fileName, inline: true },
             { name: '📊 File Size', value: formatFileSize(request.fileSize), inline: true },
             { name: '📂 Upload Path', value: request.currentPath || '*(root folder)*', inline: true },
-            { name: '🔗 Original File', value: request.attachmentUrl, inline: true },
+            { name: '🔗 Original File', value: request.sourceOrigin && request.sourceOrigin !== 'attachment' ? `${request.attachmentUrl}\n(from ${request.sourceLabel.toLowerCase()})` : request.attachmentUrl, inline: true },
             { name: '📋 Description', value: request.description || '*(no description)*', inline: false }
         )
         .setColor(0xf39c12)
         .setTimestamp()
-        .setFooter({ text: `Request ID: ${dmMessageId}` });
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+
+    const newFolders = getPendingFoldersOnPath(request.pendingFolders, request.currentPath);
+    if (newFolders.length > 0) {
+        embed.addFields({ name: '🆕 New Folders', value: `Created on approval:\n${newFolders.join('\n')}`, inline: false });
+    }
+
+    if (request.duplicates && request.duplicates.length > 0) {
+        const locations = request.duplicates
+            .slice(0, 3)
+            .map(dup => dup.webViewLink ? `[${dup.path}](${dup.webViewLink})` : dup.path)
+            .join('\n');
+        const more = request.duplicates.length > 3 ? `\n...and ${request.duplicates.length - 3} more` : '';
+        embed.addFields({ name: '⚠️ Possible Duplicate', value: `Already in Drive at:\n${locations}${more}`, inline: false });
+    }
+
+    addAutoApprovalNote(embed, request);
+    addArtistNote(embed, request);
+
+    if (request.previousDenyReason) {
+        embed.addFields({ name: '🔁 Resubmitted', value: `Previously denied: ${request.previousDenyReason}`.slice(0, 1024), inline: false });
+    }
+
+    addApprovalProgress(embed, request);
+
+    if (request.lastEditedBy) {
+        embed.addFields({ name: '✏️ Last edited by', value: `<@${request.lastEditedBy}>`, inline: true });
+    }
+
+    // Failed uploads stay actionable, so they are rendered from the request like pending ones
+    if (request.status === REQUEST_STATUS.FAILED) {
+        embed
+            .setTitle('❌ Upload Request FAILED')
+            .setColor(0xe74c3c)
+            .addFields(
+                { name: '❌ Error', value: (request.error || 'Unknown error').slice(0, 1024), inline: false },
+                { name: '🔁 Attempts', value: String(request.attempts || 1), inline: true }
+            );
+    }
+
+    return embed;
+}
+
+/**
+ * Create approval embed for a batch of files from one message
+ */
+function createBatchApprovalEmbed(user, request) {
+    const included = request.items.filter(item => item.included);
+    const includedSize = included.reduce((total, item) => total + (item.fileSize || 0), 0);
+
+    const fileList = request.items.map((item, i) => {
+        const marker = item.included ? '✅' : '⬜';
+        const name = item.included ? item.fileName : `~~${item.fileName}~~`;
+        const flags = `${item.duplicates && item.duplicates.length > 0 ? ' ⚠️' : ''}${item.driveFileId ? ' ☁️' : ''}`;
+        return `${marker} ${i + 1}. ${name} (${formatFileSize(item.fileSize)})${flags}`;
+    });
+
+    // Embed field values are capped at 1024 characters
+    let fileListValue = '';
+    for (let i = 0; i < fileList.length; i++) {
+        if (fileListValue.length + fileList[i].length + 20 > 1024) {
+            fileListValue += `...and ${fileList.length - i} more`;
+            break;
+        }
+        fileListValue += `${fileList[i]}\n`;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('📦 Batch Upload Request for Approval')
+        .setDescription(`**${user.displayName}** wants to upload **${request.items.length}** files to Google Drive`)
+        .setURL(getSourceMessageLink(request))
+        .addFields(
+            { name: '👤 Requested by', value: `<@${user.id}>`, inline: true },
+            { name: '🗂️ Files', value: `${included.length} of ${request.items.length} included`, inline: true },
+            { name: '📊 Total Size', value: formatFileSize(includedSize), inline: true },
+            { name: '📂 Upload Path', value: request.currentPath || '*(root folder)*', inline: true },
+            { name: '🏷️ Name Template', value: request.fileNameTemplate ? `\`${request.fileNameTemplate}\`` : '*(original names)*', inline: true },
+            { name: '🔗 Original Message', value: `[Jump to message](${getSourceMessageLink(request)})`, inline: true },
+            { name: '📋 Description', value: request.description || '*(no description)*', inline: false },
+            { name: '🖼️ Files', value: fileListValue.trim() || '*(none)*', inline: false }
+        )
+        .setColor(0xf39c12)
+        .setTimestamp()
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+
+    const images = getGalleryImages(request);
+    if (images.length > 0) {
+        embed.setImage(images[0]);
+    }
+
+    const duplicateCount = request.items.filter(item => item.duplicates && item.duplicates.length > 0).length;
+    if (duplicateCount > 0) {
+        embed.addFields({ name: '⚠️ Possible Duplicates', value: `${duplicateCount} file(s) marked ⚠️ are already in Drive and weren't uploaded. Exclude them below to skip them, or approve again to upload them anyway.`, inline: false });
+    }
+
+    const newFolders = getPendingFoldersOnPath(request.pendingFolders, request.currentPath);
+    if (newFolders.length > 0) {
+        embed.addFields({ name: '🆕 New Folders', value: `Created on approval:\n${newFolders.join('\n')}`, inline: false });
+    }
+
+    if (request.previousDenyReason) {
+        embed.addFields({ name: '🔁 Resubmitted', value: `Previously denied: ${request.previousDenyReason}`.slice(0, 1024), inline: false });
+    }
+
+    addAutoApprovalNote(embed, request);
+    addArtistNote(embed, request);
+
+    addApprovalProgress(embed, request);
+
+    if (request.lastEditedBy) {
+        embed.addFields({ name: '✏️ Last edited by', value: `<@${request.lastEditedBy}>`, inline: true });
+    }
+
+    if (request.status === REQUEST_STATUS.FAILED) {
+        const uploaded = request.items.filter(item => item.driveFileId).length;
+        embed
+            .setTitle('❌ Batch Upload Request FAILED')
+            .setColor(0xe74c3c)
+            .addFields(
+                { name: '❌ Error', value: (request.error || 'Unknown error').slice(0, 1024), inline: false },
+                { name: '☁️ Uploaded', value: `${uploaded} of ${included.length} (retry continues with the rest)`, inline: true },
+                { name: '🔁 Attempts', value: String(request.attempts || 1), inline: true }
+            );
+    }
+
+    return embed;
+}
+
+/**
+ * Show who has approved so far on requests that need several officer approvals
+ */
+function addApprovalProgress(embed, request) {
+    if (!request.approvalsRequired || request.approvalsRequired < 2) return;
+
+    const approvals = request.approvals || [];
+    const approvers = approvals.length > 0
+        ? approvals.map(approval => `<@${approval.userId}>`).join(', ')
+        : '*(none yet)*';
+    embed.addFields({ name: `👍 Approvals (${approvals.length}/${request.approvalsRequired})`, value: approvers, inline: false });
+}
+
+/**
+ * Mark requests that skipped officer approval through an auto-approve rule
+ */
+function addAutoApprovalNote(embed, request) {
+    if (!request.autoApproval) return;
+
+    embed
+        .setTitle(request.batch ? '⚡ Batch Upload AUTO-APPROVED' : '⚡ Upload AUTO-APPROVED')
+        .setColor(0x1abc9c)
+        .addFields({ name: '⚡ Auto-approved', value: `Rule #${request.autoApproval.number}: ${request.autoApproval.description}`.slice(0, 1024), inline: false });
+}
+
+// How the artist's consent shows on approval messages of officer-initiated requests
+const ARTIST_CONSENT_LABELS = {
+    pending: '⏳ Waiting for the artist to allow this upload',
+    allowed: '✅ The artist allowed this upload',
+    unreachable: '⚠️ Couldn\'t DM the artist to ask for consent'
+};
+
+/**
+ * Show whose work an officer is uploading, and whether the artist has consented
+ */
+function addArtistNote(embed, request) {
+    if (!isOfficerInitiated(request)) return;
+
+    const consent = ARTIST_CONSENT_LABELS[request.artistConsent];
+    embed.addFields({ name: '🎨 Artist', value: consent ? `<@${request.authorId}>\n${consent}` : `<@${request.authorId}>`, inline: false });
+}
+
+/**
+ * Check whether a request is held until the artist allows it
+ */
+function isAwaitingArtist(request) {
+    return request.artistConsent === 'pending' || request.artistConsent === 'unreachable';
+}
+
+/**
+ * Label for an approve button, with the vote count when a quorum is required
+ */
+function getApproveLabel(label, request) {
+    if (!request || !request.approvalsRequired || request.approvalsRequired < 2) return label;
+    return `${label} (${(request.approvals || []).length}/${request.approvalsRequired})`;
+}
+
+/**
+ * Create the extra image embeds that turn a batch approval embed into a gallery
+ */
+function createGalleryEmbeds(request) {
+    if (!request.batch) return [];
+
+    return getGalleryImages(request)
+        .slice(1)
+        .map(url => new EmbedBuilder().setURL(getSourceMessageLink(request)).setImage(url));
+}
+
+/**
+ * Create the per-file include/exclude menu for a batch request
+ */
+function createBatchToggleMenu(request) {
+    const options = request.items.slice(0, 25).map((item, i) => ({
+        label: `${i + 1}. ${item.fileName}`.slice(0, 100),
+        description: `${formatFileSize(item.fileSize)}${item.duplicates && item.duplicates.length > 0 ? ' • already in Drive' : ''}`,
+        value: String(i),
+        default: Boolean(item.included)
+    }));
+
+    return new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId(`batch_toggle_${request.requestId}`)
+            .setPlaceholder('🗂️ Choose which files to upload...')
+            .setMinValues(1)
+            .setMaxValues(options.length)
+            .addOptions(options)
+    );
+}
+
+/**
+ * Create all action rows for an approval message
+ */
+function createApprovalComponents(requestId, request = null) {
+    const components = [createApprovalButtons(requestId, request)];
+    if (request && request.batch) {
+        components.push(createBatchToggleMenu(request));
+    }
+    return components;
+}
+
+/**
+ * Create the full approval channel message (embeds and components) for a request
+ */
+function createApprovalMessage(user, request) {
+    return {
+        embeds: [createApprovalEmbed(user, request), ...createGalleryEmbeds(request)],
+        components: createApprovalComponents(request.requestId, request)
+    };
 }
 
 /**
  * Create approval action buttons
  */
-function createApprovalButtons(dmMessageId) {
+function createApprovalButtons(requestId, request = null) {
+    if (request && request.status === REQUEST_STATUS.FAILED) {
+        return createRetryButtons(requestId);
+    }
+
+    // Held requests can be denied or edited, but not approved until the artist allows them
+    if (request && isAwaitingArtist(request)) {
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`deny_${requestId}`)
+                    .setLabel('Deny')
+                    .setStyle(ButtonStyle.Danger)
+                    .setEmoji('❌'),
+                new ButtonBuilder()
+                    .setCustomId(`officer_edit_${requestId}`)
+                    .setLabel('Edit Details')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('✏️')
+            );
+    }
+
+    if (request && request.duplicates && request.duplicates.length > 0) {
+        return createDuplicateButtons(requestId, request);
+    }
+
     return new ActionRowBuilder()
         .addComponents(
             new ButtonBuilder()
-                .setCustomId(`approve_${dmMessageId}`)
-                .setLabel('Approve')
+                .setCustomId(`approve_${requestId}`)
+                .setLabel(getApproveLabel('Approve', request))
                 .setStyle(ButtonStyle.Success)
                 .setEmoji('✅'),
             new ButtonBuilder()
-                .setCustomId(`deny_${dmMessageId}`)
+                .setCustomId(`deny_${requestId}`)
+                .setLabel('Deny')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('❌'),
+            new ButtonBuilder()
+                .setCustomId(`officer_edit_${requestId}`)
+                .setLabel('Edit Details')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('✏️')
+        );
+}
+
+/**
+ * Create approval action buttons for a request that matches a file already in Drive
+ */
+function createDuplicateButtons(requestId, request = null) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`dup_skip_${requestId}`)
+                .setLabel('Skip')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('⏭️'),
+            new ButtonBuilder()
+                .setCustomId(`approve_${requestId}`)
+                .setLabel(getApproveLabel('Upload Anyway', request))
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('✅'),
+            new ButtonBuilder()
+                .setCustomId(`dup_replace_${requestId}`)
+                .setLabel(getApproveLabel('Replace as New Version', request))
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🔁'),
+            new ButtonBuilder()
+                .setCustomId(`deny_${requestId}`)
+                .setLabel('Deny')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('❌'),
+            new ButtonBuilder()
+                .setCustomId(`officer_edit_${requestId}`)
+                .setLabel('Edit Details')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('✏️')
+        );
+}
+
+/**
+ * Create action buttons for a request whose upload failed
+ */
+function createRetryButtons(requestId) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`retry_upload_${requestId}`)
+                .setLabel('Retry Upload')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🔁'),
+            new ButtonBuilder()
+                .setCustomId(`deny_${requestId}`)
                 .setLabel('Deny')
                 .setStyle(ButtonStyle.Danger)
                 .setEmoji('❌'),
             new ButtonBuilder()
-                .setCustomId(`officer_edit_${dmMessageId}`)
+                .setCustomId(`officer_edit_${requestId}`)
                 .setLabel('Edit Details')
                 .setStyle(ButtonStyle.Secondary)
                 .setEmoji('✏️')
@@ -48,5 +391,10 @@ function createApprovalButtons(dmMessageId) {
 
 module.exports = {
     createApprovalEmbed,
-    createApprovalButtons
+    createApprovalButtons,
+    createApprovalComponents,
+    createApprovalMessage,
+    createGalleryEmbeds,
+    getSourceMessageLink,
+    isAwaitingArtist
 }; 
\ No newline at end of file
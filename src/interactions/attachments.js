@@ -1,29 +1,42 @@
-const { EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { formatFileSize, getFileNameFromUrl } = require('../utils/helpers');
+const { EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { formatFileSize } = require('../utils/helpers');
+const config = require('../utils/config');
+const { buildUploadRequest, buildBatchRequest } = require('./uploadWorkflow');
+const { getFilePolicyFor, checkAttachment, describeRejections } = require('../utils/filePolicy');
+const { getMessageSources, resolveSources, ORIGIN_EMOJIS } = require('../utils/messageSources');
 
 /**
- * Send attachment selection message for multiple attachments
+ * Send attachment selection message for a message with several uploadable files
+ * (as a DM, or as the interaction's ephemeral reply when started from the context menu)
+ * @param {Object} sources - { allowed: [{ attachment, index }], rejected } from checking the message's sources
  */
-async function sendAttachmentSelectionMessage(user, message, attachments) {
+async function sendAttachmentSelectionMessage(user, message, { allowed: uploadable, rejected }, interaction = null) {
+    // Option values keep each source's index in the message, so rejected files just leave gaps
+    const allowed = uploadable.slice(0, 25);
+
     const embed = new EmbedBuilder()
-        .setTitle('🖼️ Multiple Attachments Found')
-        .setDescription(`This message contains **${attachments.length}** files. Select which ones you'd like to upload to Google Drive.\n\n*You can select multiple attachments and each will go through the upload process individually.*${attachments.length > 25 ? '\n\n⚠️ **Note:** Only the first 25 attachments are shown due to Discord limits.' : ''}`)
+        .setTitle('🖼️ Multiple Files Found')
+        .setDescription(`This message contains **${uploadable.length}** files you can upload, from its attachments, embeds and links. Select which ones you'd like to upload to Google Drive.\n\n*If you select several, you can upload them together as one batch or send each through the upload process individually.*${uploadable.length > 25 ? '\n\n⚠️ **Note:** Only the first 25 files are shown due to Discord limits.' : ''}`)
         .setColor(0x3498db)
         .setTimestamp()
         .setFooter({ 
             text: `${message.id}|${message.channel.id}` 
         });
 
+    if (rejected.length > 0) {
+        embed.addFields({ name: '⛔ Not Allowed Here', value: describeRejections(rejected).slice(0, 1024), inline: false });
+    }
+
     // Create options for select menu (max 25 options due to Discord limits)
-    const options = attachments.slice(0, 25).map((attachment, index) => {
-        const fileName = getFileNameFromUrl(attachment.url);
+    const options = allowed.map(({ attachment, index }) => {
+        const fileName = attachment.name;
         const fileSize = formatFileSize(attachment.size);
         
         return {
             label: fileName.length > 100 ? fileName.substring(0, 97) + '...' : fileName,
-            description: `${fileSize} • Click to select for upload`,
+            description: `${fileSize} • ${attachment.originLabel}`.slice(0, 100),
             value: `attachment_${index}`,
-            emoji: '🖼️'
+            emoji: ORIGIN_EMOJIS[attachment.origin]
         };
     });
 
@@ -31,7 +44,7 @@ async function sendAttachmentSelectionMessage(user, message, attachments) {
         .setCustomId(`attachment_select_stateless`)
         .setPlaceholder('📂 Choose attachments to upload...')
         .setMinValues(1)
-        .setMaxValues(Math.min(attachments.length, 25))
+        .setMaxValues(options.length)
         .addOptions(options);
 
     const selectRow = new ActionRowBuilder().addComponents(selectMenu);
@@ -46,7 +59,11 @@ async function sendAttachmentSelectionMessage(user, message, attachments) {
     const buttonRow = new ActionRowBuilder().addComponents(cancelButton);
 
     try {
-        await user.send({ embeds: [embed], components: [selectRow, buttonRow] });
+        if (interaction) {
+            await interaction.editReply({ embeds: [embed], components: [selectRow, buttonRow] });
+        } else {
+            await user.send({ embeds: [embed], components: [selectRow, buttonRow] });
+        }
     } catch (error) {
         console.error('❌ Error sending attachment selection message:', error);
         throw error;
@@ -54,15 +71,71 @@ async function sendAttachmentSelectionMessage(user, message, attachments) {
 }
 
 /**
- * Handle attachment selection interaction
+ * Ask whether several selected attachments should be uploaded as one batch or individually
  */
-async function handleAttachmentSelection(interaction, client, uploadRequests, sendFolderSelectionMessage) {
-    await interaction.deferReply();
+async function sendUploadModeChoice(interaction, selectedIndices) {
+    // Selected indices travel in the button IDs, keeping this step stateless like the select menu
+    const indexList = selectedIndices.join(',');
+
+    const embed = EmbedBuilder.from(interaction.message.embeds[0])
+        .setTitle('🗂️ How should these files be uploaded?')
+        .setDescription(`You selected **${selectedIndices.length}** files.\n\n**📦 One batch:** pick one folder and naming template for all of them; officers approve them together.\n**📄 Separately:** each file gets its own folder choice and approval.`);
+
+    const buttonRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`attachment_batch_${indexList}`)
+            .setLabel('Upload as One Batch')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('📦'),
+        new ButtonBuilder()
+            .setCustomId(`attachment_separate_${indexList}`)
+            .setLabel('Upload Separately')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('📄'),
+        new ButtonBuilder()
+            .setCustomId('dm_cancel_attachments')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('❌')
+    );
+
+    await interaction.update({ embeds: [embed], components: [buttonRow] });
+}
+
+/**
+ * Handle attachment selection interaction (the select menu, then the batch/separate choice)
+ */
+async function handleAttachmentSelection(interaction, client, requestStore, sendFolderSelectionMessage) {
+    let selectedIndices;
+    let batch = false;
+
+    if (interaction.isStringSelectMenu()) {
+        selectedIndices = interaction.values.map(value => parseInt(value.replace('attachment_', '')));
+        if (selectedIndices.length > 1) {
+            await sendUploadModeChoice(interaction, selectedIndices);
+            return;
+        }
+    } else {
+        const [, mode, indexList] = interaction.customId.match(/^attachment_(batch|separate)_([\d,]+)$/) || [];
+        if (!mode) return;
+        batch = mode === 'batch';
+        selectedIndices = indexList.split(',').map(value => parseInt(value));
+    }
+
+    // Pickers started from the context menu stay in ephemeral messages instead of DMs
+    const ephemeral = interaction.message.flags.has(MessageFlags.Ephemeral);
+    const reply = async content => await interaction.editReply(ephemeral ? { content, embeds: [], components: [] } : content);
+
+    if (ephemeral) {
+        await interaction.deferUpdate();
+    } else {
+        await interaction.deferReply();
+    }
 
     try {
         const embed = interaction.message.embeds[0];
         if (!embed || !embed.footer) {
-            await interaction.editReply('❌ Attachment selection message malformed.');
+            await reply('❌ Attachment selection message malformed.');
             return;
         }
 
@@ -71,7 +144,7 @@ async function handleAttachmentSelection(interaction, client, uploadRequests, se
         const [originalMessageId, originalChannelId] = footerText.split('|');
 
         if (!originalMessageId || !originalChannelId) {
-            await interaction.editReply('❌ Source message information not found.');
+            await reply('❌ Source message information not found.');
             return;
         }
 
@@ -87,88 +160,98 @@ async function handleAttachmentSelection(interaction, client, uploadRequests, se
         }
 
         if (!originalMessage) {
-            await interaction.editReply('❌ Original message not found or was deleted. Attachment data is no longer available.');
+            await reply('❌ Original message not found or was deleted. Attachment data is no longer available.');
             return;
         }
 
-        // Get current attachments
-        const currentAttachments = Array.from(originalMessage.attachments.values());
+        // Get the message's current attachments, embeds and links
+        const sources = getMessageSources(originalMessage);
 
-        if (currentAttachments.length === 0) {
-            await interaction.editReply('❌ No file attachments found in the original message.');
+        if (sources.length === 0) {
+            await reply('❌ No uploadable files found in the original message.');
             return;
         }
 
-        // Map attachments to expected format
-        const attachments = currentAttachments.slice(0, 25).map((attachment, index) => ({
-            index,
-            fileName: getFileNameFromUrl(attachment.url),
-            url: attachment.url,
-            size: attachment.size,
-            contentType: attachment.contentType
-        }));
+        // Check the selection again: the policy, the message or a linked file may have changed since the menu was sent
+        const { sources: selectedSources, rejected } = await resolveSources(selectedIndices
+            .map(index => sources[index])
+            .filter(Boolean));
 
-        // Process selected attachments
-        const selectedIndices = interaction.values.map(value => parseInt(value.replace('attachment_', '')));
-        const selectedAttachments = selectedIndices.map(index => attachments[index]).filter(Boolean);
+        const policy = getFilePolicyFor(config.getUploadChannelFor(originalMessage.channel) || originalChannelId);
+        const selectedAttachments = selectedSources.filter(attachment => {
+            const check = checkAttachment(attachment, policy);
+            if (!check.allowed) rejected.push({ fileName: attachment.name, reason: check.reason });
+            return check.allowed;
+        });
 
         if (selectedAttachments.length === 0) {
-            await interaction.editReply('❌ No valid attachments selected.');
+            await reply(rejected.length > 0 ? describeRejections(rejected) : '❌ No valid attachments selected.');
             return;
         }
 
-        await interaction.editReply(`✅ Processing ${selectedAttachments.length} attachment(s). You'll receive a separate message for each upload.`);
+        if (ephemeral) {
+            // The first folder picker replaces the selection message below
+            if (rejected.length > 0) {
+                await interaction.followUp({ content: describeRejections(rejected), flags: MessageFlags.Ephemeral });
+            }
+        } else {
+            const rejectionNote = rejected.length > 0 ? `\n\n${describeRejections(rejected)}` : '';
+            await reply((batch
+                ? `✅ Preparing a batch upload of ${selectedAttachments.length} files.`
+                : `✅ Processing ${selectedAttachments.length} attachment(s). You'll receive a separate message for each upload.`) + rejectionNote);
 
-        // Disable the original selection message to prevent duplicate requests
-        try {
-            const processedEmbed = new EmbedBuilder()
-                .setTitle('✅ Attachments Processed')
-                .setDescription(`Successfully processed **${selectedAttachments.length}** attachment(s). Each will go through the individual upload workflow.`)
-                .setColor(0x2ecc71)
-                .setTimestamp();
-
-            // Ensure we have the DM channel context (fixes post-restart cache issues)
-            const dmChannel = await interaction.user.createDM();
-            const message = await dmChannel.messages.fetch(interaction.message.id);
-            await message.edit({ embeds: [processedEmbed], components: [] });
-        } catch (error) {
-            console.log('❌ Could not update original selection message:', error.message);
-            // Not critical - user still gets confirmation via the reply
+            // Disable the original selection message to prevent duplicate requests
+            try {
+                const processedEmbed = new EmbedBuilder()
+                    .setTitle('✅ Attachments Processed')
+                    .setDescription(batch
+                        ? `Successfully processed **${selectedAttachments.length}** attachments. They will go through the upload workflow together as one batch.`
+                        : `Successfully processed **${selectedAttachments.length}** attachment(s). Each will go through the individual upload workflow.`)
+                    .setColor(0x2ecc71)
+                    .setTimestamp();
+
+                // Ensure we have the DM channel context (fixes post-restart cache issues)
+                const dmChannel = await interaction.user.createDM();
+                const message = await dmChannel.messages.fetch(interaction.message.id);
+                await message.edit({ embeds: [processedEmbed], components: [] });
+            } catch (error) {
+                console.log('❌ Could not update original selection message:', error.message);
+                // Not critical - user still gets confirmation via the reply
+            }
+        }
+
+        // One request covers the whole batch
+        if (batch) {
+            const request = await requestStore.createRequest({
+                ...buildBatchRequest(interaction.user, originalMessage, selectedAttachments),
+                ephemeralPicker: ephemeral
+            });
+
+            await sendFolderSelectionMessage(interaction.user, request.requestId, ephemeral ? interaction : null);
+            return;
         }
 
         // Create upload request for each selected attachment
         for (let i = 0; i < selectedAttachments.length; i++) {
             const attachment = selectedAttachments[i];
             
-            const request = {
-                userId: interaction.user.id,
-                messageId: originalMessage.id,
-                channelId: originalMessage.channel.id,
-                attachmentUrl: attachment.url,
-                originalFileName: attachment.fileName,
-                fileSize: attachment.size,
-                contentType: attachment.contentType,
-                timestamp: Date.now(),
-                currentPath: '',
-                fileName: attachment.fileName,
-                description: ''
-            };
-
             // Small delay between messages to avoid rate limits
             if (i > 0) {
                 await new Promise(resolve => setTimeout(resolve, 1000));
             }
 
-            const requestId = (Date.now() + i).toString() + '_' + interaction.user.id;
-            request.requestId = requestId;
-            uploadRequests.set(requestId, request);
+            const request = await requestStore.createRequest({
+                ...buildUploadRequest(interaction.user, originalMessage, attachment, attachment.index),
+                ephemeralPicker: ephemeral
+            });
             
-            await sendFolderSelectionMessage(interaction.user, requestId);
+            // In ephemeral mode the first picker replaces the selection, the rest arrive as follow-ups
+            await sendFolderSelectionMessage(interaction.user, request.requestId, ephemeral ? interaction : null, { followUp: i > 0 });
         }
 
     } catch (error) {
         console.error('❌ Error processing attachment selection:', error);
-        await interaction.editReply('❌ Error processing attachment selection.');
+        await reply('❌ Error processing attachment selection.');
     }
 }
 
@@ -1,14 +1,891 @@
 const { Events, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, EmbedBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, MessageFlags } = require('discord.js');
-const { safeDM, deleteOriginalDM, formatFileSize } = require('../utils/helpers');
-
-module.exports = (client, uploadRequests, driveService, handlers) => {
+const { safeDM, deleteOriginalDM, formatFileSize, formatProgress, isPathWithin, getPendingFoldersOnPath, canCreateFolders, isOfficerInitiated, getUploadChannelId } = require('../utils/helpers');
+const config = require('../utils/config');
+const hashIndex = require('../utils/hashIndex');
+const { renderFileNameTemplate, slugify, findUnknownVariables } = require('../utils/fileNameTemplate');
+const { findAutoApproveRule, describeAutoApproveRule } = require('../utils/autoApprove');
+const { logEvent, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { applyBatchTemplate, buildResubmission } = require('./uploadWorkflow');
+const { getSourceMessageLink, isAwaitingArtist } = require('./approval');
+const optOutRegistry = require('../utils/optOutRegistry');
+const { getDownloadLimits } = require('../utils/messageSources');
+const { describeError } = require('../utils/retry');
+const { handleHistoryButton } = require('../commands/admin');
+const { createMyUploadsMessage } = require('../commands/user');
+
+// Minimum time between progress edits on an approval message
+const PROGRESS_EDIT_INTERVAL = 3000;
+
+// Deny reason recorded when the artist declines an officer's upload of their work
+const ARTIST_DECLINED_REASON = 'The artist declined the upload';
+
+module.exports = (client, requestStore, driveService, handlers) => {
     const { 
         sendFolderSelectionMessage, 
-        extractRequestFromDMEmbed, 
         createApprovalEmbed, 
-        createApprovalButtons, 
+        createApprovalMessage,
+        createGalleryEmbeds,
         handleAttachmentSelection 
     } = handlers;
+    const { REQUEST_STATUS, OPEN_STATUSES } = requestStore;
+
+    // Approvals currently uploading, so a double click can't upload twice
+    const approvalsInFlight = new Set();
+
+    /**
+     * Load a draft request for a DM workflow interaction, replying if it is gone
+     */
+    async function getDraftRequest(interaction, requestId) {
+        const request = await requestStore.getRequest(requestId);
+        if (!request || request.status !== REQUEST_STATUS.DRAFT || request.userId !== interaction.user.id) {
+            await interaction.reply({ content: '❌ Upload request expired or not found.', flags: MessageFlags.Ephemeral });
+            return null;
+        }
+        return request;
+    }
+
+    /**
+     * Load a request awaiting officer action (submitted, or failed and retryable),
+     * replying if it can't be acted on
+     */
+    async function getSubmittedRequest(interaction, requestId) {
+        const request = await requestStore.getRequest(requestId);
+        if (!request) {
+            await interaction.reply({ content: '❌ Could not find this upload request. It may have expired.', flags: MessageFlags.Ephemeral });
+            return null;
+        }
+        if (!OPEN_STATUSES.includes(request.status) || approvalsInFlight.has(requestId)) {
+            await interaction.reply({ content: '❌ This request has already been processed.', flags: MessageFlags.Ephemeral });
+            return null;
+        }
+        return request;
+    }
+
+    /**
+     * Report upload progress on the approval message while a file streams to Drive
+     */
+    function createProgressReporter(message, embed, extraEmbeds = []) {
+        let lastEdit = 0;
+        let pendingEdit = Promise.resolve();
+
+        const onProgress = ({ uploaded, total }) => {
+            const now = Date.now();
+            const finished = total !== null && uploaded >= total;
+            if (now - lastEdit < PROGRESS_EDIT_INTERVAL && !finished) return;
+            lastEdit = now;
+
+            const progressEmbed = EmbedBuilder.from(embed)
+                .setTitle('⏳ Upload Request UPLOADING')
+                .addFields({ name: '⏳ Upload Progress', value: formatProgress(uploaded, total), inline: false });
+
+            // Edits are chained so a late progress update never overwrites the final state
+            pendingEdit = pendingEdit
+                .then(() => message.edit({ embeds: [progressEmbed, ...extraEmbeds], components: [] }))
+                .catch(error => console.error('⚠️ Could not update upload progress:', error.message));
+        };
+
+        return { onProgress, flush: () => pendingEdit };
+    }
+
+    /**
+     * Fetch the approval channel message for a submitted request
+     */
+    async function fetchApprovalMessage(request) {
+        if (!request.approvalChannelId || !request.approvalMessageId) return null;
+        try {
+            const channel = await client.channels.fetch(request.approvalChannelId);
+            return await channel.messages.fetch(request.approvalMessageId);
+        } catch (error) {
+            console.error(`⚠️ Could not fetch approval message for ${request.requestId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Re-render a submitted request's approval message from the store
+     */
+    async function refreshApprovalMessage(request) {
+        const approvalMessage = await fetchApprovalMessage(request);
+        if (!approvalMessage) return;
+
+        const requester = await client.users.fetch(request.userId);
+        await approvalMessage.edit(createApprovalMessage(requester, request));
+    }
+
+    /**
+     * DM the artist when an officer submits their work, with Allow / Decline buttons if the guild requires consent
+     *
+     * Runs in the background after submission. If the artist can't be DMed, a held request asks them
+     * with a reply to their message instead; if that fails too, it is flagged on its approval message so
+     * officers know consent can't be collected. The requester is told either way.
+     */
+    async function notifyArtistOfRequest(request) {
+        const awaitingConsent = request.artistConsent === 'pending';
+
+        let sent = false;
+        try {
+            const artist = await client.users.fetch(request.authorId);
+
+            const embed = new EmbedBuilder()
+                .setTitle(awaitingConsent ? '🎨 May we upload your work?' : '🎨 Your work is being uploaded')
+                .setDescription(`<@${request.userId}> requested to upload **${request.fileName}** from [your message](${getSourceMessageLink(request)}) to the server's Google Drive.`
+                    + (awaitingConsent ? '\n\nIt won\'t be uploaded unless you allow it.' : '\n\nYou\'ll get a link once officers approve it.'))
+                .addFields(
+                    { name: '📂 Upload Location', value: request.currentPath || '*(root folder)*', inline: true },
+                    { name: '🆔 Request ID', value: request.requestId, inline: true }
+                )
+                .setColor(0x9b59b6)
+                .setTimestamp();
+
+            const components = awaitingConsent
+                ? [new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`consent_allow_${request.requestId}`)
+                        .setLabel('Allow')
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji('✅'),
+                    new ButtonBuilder()
+                        .setCustomId(`consent_decline_${request.requestId}`)
+                        .setLabel('Decline')
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('❌')
+                )]
+                : [];
+
+            sent = await safeDM(artist, { embeds: [embed], components });
+
+            // Closed DMs mustn't hold the request forever: ask under the artist's message instead
+            if (!sent && awaitingConsent) {
+                const channel = await client.channels.fetch(request.channelId);
+                const message = await channel.messages.fetch(request.messageId);
+                await message.reply({
+                    content: `🎨 <@${request.authorId}>, your DMs are closed, so we're asking here. Only you can answer.`,
+                    embeds: [embed],
+                    components,
+                    allowedMentions: { users: [request.authorId] }
+                });
+                await notifyRequester(request, `🎨 <@${request.authorId}> couldn't be DMed, so they were asked to allow the upload of **${request.fileName}** in <#${request.channelId}>. It stays on hold until they answer.`);
+                return;
+            }
+        } catch (error) {
+            console.error(`⚠️ Could not notify the artist of upload request ${request.requestId}:`, error.message);
+        }
+
+        if (!sent && awaitingConsent) {
+            try {
+                const updated = await requestStore.updateRequest(request.requestId, { artistConsent: 'unreachable' });
+                if (updated.status === REQUEST_STATUS.SUBMITTED) {
+                    await refreshApprovalMessage(updated);
+                }
+            } catch (error) {
+                console.error(`⚠️ Could not flag unreachable artist on ${request.requestId}:`, error.message);
+            }
+            await notifyRequester(request, `⚠️ <@${request.authorId}> couldn't be asked to allow the upload of **${request.fileName}** (their DMs are closed and the bot couldn't reply in <#${request.channelId}>). It can't be uploaded without their consent, so ask them to open their DMs and submit it again, or have an officer deny it.`);
+        }
+    }
+
+    /**
+     * DM the requester about their request (failures are only logged)
+     */
+    async function notifyRequester(request, content) {
+        try {
+            const requester = await client.users.fetch(request.userId);
+            await safeDM(requester, content);
+        } catch (error) {
+            console.error(`⚠️ Could not notify the requester of upload request ${request.requestId}:`, error.message);
+        }
+    }
+
+    /**
+     * Let the artist know an officer's upload of their work reached Drive
+     * @param {string} links - Drive link(s) to the uploaded file(s), as markdown
+     */
+    async function notifyArtistOfUpload(request, links) {
+        if (!isOfficerInitiated(request)) return;
+
+        try {
+            const artist = await client.users.fetch(request.authorId);
+            const embed = new EmbedBuilder()
+                .setTitle('🎨 Your work was uploaded')
+                .setDescription(`**${request.fileName}** from [your message](${getSourceMessageLink(request)}) is now in the server's Google Drive.`)
+                .addFields(
+                    { name: '📂 Location', value: request.currentPath || '*(root folder)*', inline: true },
+                    { name: '👤 Requested by', value: `<@${request.userId}>`, inline: true },
+                    { name: '🔗 View', value: links, inline: false }
+                )
+                .setColor(0x27ae60)
+                .setTimestamp();
+
+            await safeDM(artist, { embeds: [embed] });
+        } catch (error) {
+            console.error(`⚠️ Could not notify the artist of upload ${request.requestId}:`, error.message);
+        }
+    }
+
+    /**
+     * Find copies of a file's content in the target folder or the upload index
+     * (the hash comes from the upload's own download, just before the file is created in Drive)
+     * @returns {Promise<Array>} - Matching files ({ fileId, fileName, path, webViewLink })
+     */
+    async function findDuplicates(contentHash, folderPath) {
+        const [inFolder, indexed] = await Promise.all([
+            driveService.findFilesByChecksum(contentHash, folderPath || ''),
+            // Like recording, a broken index only loses matches; it mustn't stop the upload
+            hashIndex.findByHash(contentHash).catch(error => {
+                console.error('⚠️ Could not search the hash index for duplicates:', error.message);
+                return [];
+            })
+        ]);
+
+        const duplicates = [];
+        for (const match of [...inFolder, ...indexed]) {
+            if (!duplicates.some(dup => dup.fileId === match.fileId)) {
+                duplicates.push(match);
+            }
+        }
+        return duplicates;
+    }
+
+    /**
+     * Put an upload that matched files already in Drive back in front of officers
+     *
+     * The held file wasn't created in Drive, but new folders on its path were (the upload needs
+     * them before the content can be hashed), so they stop showing as pending. The approval message
+     * shows the matches with Skip, Upload Anyway and Replace; earlier votes and any auto-approval no longer count.
+     */
+    async function holdDuplicateUpload(request, updates, requester, approvalMessage) {
+        const createdFolders = getPendingFoldersOnPath(request.pendingFolders, request.currentPath);
+        const held = await requestStore.updateRequest(request.requestId, {
+            ...updates,
+            approvals: [],
+            autoApproval: null,
+            pendingFolders: (request.pendingFolders || []).filter(folder => !createdFolders.includes(folder))
+        });
+        await approvalMessage.edit(createApprovalMessage(requester, held));
+
+        if (createdFolders.length > 0) {
+            driveService.refreshFolderCache().catch(error =>
+                console.error('⚠️ Failed to refresh folder cache after creating folders:', error.message));
+        }
+
+        if (request.autoApproval) {
+            await safeDM(requester, `⚠️ **${request.fileName}** matches a file already in Google Drive, so it wasn't uploaded automatically. An officer will decide whether to upload it anyway.`);
+        }
+        console.log(`⚠️ Upload request ${request.requestId} matches files already in Drive, held for officers`);
+        return held;
+    }
+
+    /**
+     * Claim a request for upload and load its requester
+     * @returns {Promise<Object|null>} - Requester, or null if the request can't be uploaded now
+     */
+    async function claimApproval(interaction, requestId, userId) {
+        // Claim the request synchronously so a second click can't start another upload
+        if (approvalsInFlight.has(requestId)) {
+            await interaction.reply({ content: '❌ This request is already being uploaded.', flags: MessageFlags.Ephemeral });
+            return null;
+        }
+        approvalsInFlight.add(requestId);
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        try {
+            return await client.users.fetch(userId);
+        } catch (error) {
+            approvalsInFlight.delete(requestId);
+            await interaction.editReply(`❌ Could not load the requester: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Run an upload approved by an officer's click and report the outcome to them
+     * @param {Object} options - { replaceFileId, replacePath } to upload as a new version of an existing file
+     */
+    async function approveRequest(interaction, request, options = {}) {
+        const requester = await claimApproval(interaction, request.requestId, request.userId);
+        if (!requester) return;
+
+        const approver = {
+            id: interaction.user.id,
+            mention: `<@${interaction.user.id}>`,
+            displayName: interaction.user.displayName
+        };
+
+        try {
+            const outcome = await uploadRequest(request, requester, interaction.message, approver, options);
+            await interaction.editReply(outcome.message);
+        } catch (error) {
+            console.error(`❌ Error processing approval of ${request.requestId}:`, error);
+            await interaction.editReply(`❌ Error processing the upload: ${describeError(error)}`)
+                .catch(replyError => console.error('⚠️ Could not report the approval error:', replyError.message));
+        } finally {
+            approvalsInFlight.delete(request.requestId);
+        }
+    }
+
+    /**
+     * Upload an approved request, updating the approval message, requester and store
+     *
+     * Callers claim the request in approvalsInFlight first and release it afterwards.
+     * @param {Object} approvalMessage - Approval channel message that shows progress and the result
+     * @param {Object} approver - { id, mention, displayName } of whoever approved the upload
+     * @param {Object} options - { replaceFileId, replacePath } to upload as a new version of an existing file
+     * @returns {Promise<Object>} - { success, message } summary for the approver
+     */
+    async function uploadRequest(request, requester, approvalMessage, approver, options = {}) {
+        if (request.batch) {
+            return await uploadBatchRequest(request, requester, approvalMessage, approver);
+        }
+
+        const requestId = request.requestId;
+
+        // Rebuild from the request so earlier progress/error fields don't pile up on retries
+        const embed = createApprovalEmbed(requester, { ...request, status: REQUEST_STATUS.SUBMITTED });
+        const { userId, fileName, description } = request;
+        const uploadPath = request.currentPath || '';
+        const replaceFileId = options.replaceFileId || null;
+
+        const progress = createProgressReporter(approvalMessage, embed);
+
+        try {
+            // Stream the file from Discord into Drive, showing progress on the approval embed
+            progress.onProgress({ uploaded: 0, total: request.fileSize || null });
+            const result = await driveService.uploadFromUrl(request.attachmentUrl, fileName, uploadPath, description, {}, {
+                onProgress: progress.onProgress,
+                replaceFileId,
+                collisionPolicy: config.getCollisionPolicyFor(getUploadChannelId(request)),
+                downloadLimits: getDownloadLimits(request, getUploadChannelId(request)),
+                // Matches officers were already shown (Upload Anyway) and replacements aren't checked again
+                findDuplicates: replaceFileId || (request.duplicates || []).length > 0
+                    ? null
+                    : contentHash => findDuplicates(contentHash, uploadPath)
+            });
+            await progress.flush();
+
+            if (result.duplicate) {
+                await holdDuplicateUpload(request, { contentHash: result.contentHash, duplicates: result.duplicates }, requester, approvalMessage);
+                return {
+                    success: false,
+                    message: '⚠️ This file is already in Google Drive, so it wasn\'t uploaded (any new folders on its path were created). The matches are shown on the approval message; approving again uploads it anyway.'
+                };
+            }
+
+            const drivePath = replaceFileId
+                ? options.replacePath
+                : (uploadPath ? `${uploadPath}/${result.fileName}` : result.fileName);
+
+            // Folders added from the DM picker now exist in Drive, so show them to the next picker
+            if (getPendingFoldersOnPath(request.pendingFolders, uploadPath).length > 0) {
+                driveService.refreshFolderCache().catch(error =>
+                    console.error('⚠️ Failed to refresh folder cache after creating folders:', error.message));
+            }
+
+            // The file is in Drive either way; a broken index only loses future duplicate matches
+            await hashIndex.recordUpload(result.contentHash, {
+                fileId: result.fileId,
+                fileName: result.fileName,
+                path: drivePath,
+                webViewLink: result.webViewLink
+            }).catch(error => console.error('⚠️ Could not record upload in the hash index:', error.message));
+
+            await requestStore.setStatus(requestId, REQUEST_STATUS.APPROVED, {
+                decidedBy: approver.id,
+                decidedAt: Date.now(),
+                driveFileId: result.fileId,
+                webViewLink: result.webViewLink
+            });
+            logEvent(AUDIT_ACTIONS.APPROVED, approver.id, request, {
+                fileName: result.fileName,
+                path: drivePath,
+                driveFileId: result.fileId,
+                outcome: 'uploaded',
+                details: replaceFileId || result.replacedFileId ? 'New version of an existing file' : null
+            });
+
+            // Update approval message
+            const updatedEmbed = EmbedBuilder.from(embed)
+                .setColor(0x27ae60)
+                .setTitle('✅ Upload Request APPROVED')
+                .addFields({ name: '👨‍💼 Approved by', value: approver.mention, inline: true });
+            if (replaceFileId) {
+                updatedEmbed.addFields({ name: '🔁 Replaced', value: `New version of ${drivePath}`, inline: true });
+            } else if (result.replacedFileId) {
+                updatedEmbed.addFields({ name: '🔁 Overwritten', value: `New revision of ${drivePath}`, inline: true });
+            } else if (result.fileName !== fileName) {
+                updatedEmbed.addFields({ name: '📛 Renamed', value: `Name was taken, uploaded as **${result.fileName}**`, inline: true });
+            }
+
+            await approvalMessage.edit({ 
+                embeds: [updatedEmbed], 
+                components: []
+            });
+
+            // Notify user of success
+            if (requester) {
+                const successEmbed = new EmbedBuilder()
+                    .setTitle('✅ Upload Approved!')
+                    .setDescription(replaceFileId
+                        ? `Your file **${fileName}** has been uploaded to Google Drive as a new version of **${drivePath}**`
+                        : `Your file **${fileName}** has been uploaded to Google Drive`)
+                    .addFields(
+                        { name: '📁 File Name', value: result.fileName || fileName, inline: true },
+                        { name: '📂 Location', value: uploadPath || '*(root folder)*', inline: true },
+                        { name: '👨‍💼 Approved by', value: approver.displayName, inline: true },
+                        { name: '🔗 View File', value: `[Open in Google Drive](${result.webViewLink})`, inline: false }
+                    )
+                    .setColor(0x27ae60)
+                    .setTimestamp();
+
+                await safeDM(requester, { embeds: [successEmbed] });
+            }
+
+            await notifyArtistOfUpload(request, `[${result.fileName || fileName}](${result.webViewLink})`);
+
+            // Clean up user's DM
+            await deleteOriginalDM(client, userId, request.dmMessageId, requestId);
+
+            return {
+                success: true,
+                message: replaceFileId
+                    ? '✅ Existing file replaced with a new version successfully!'
+                    : '✅ Upload approved and completed successfully!'
+            };
+
+        } catch (error) {
+            console.error('❌ Error during upload approval:', error);
+            const message = describeError(error);
+
+            let failedRequest = { ...request, status: REQUEST_STATUS.FAILED, error: message, attempts: (request.attempts || 0) + 1 };
+            try {
+                failedRequest = await requestStore.setStatus(requestId, REQUEST_STATUS.FAILED, {
+                    decidedBy: approver.id,
+                    decidedAt: Date.now(),
+                    error: message,
+                    attempts: failedRequest.attempts
+                });
+            } catch (storeError) {
+                console.error('❌ Could not record failed upload:', storeError.message);
+            }
+            logEvent(AUDIT_ACTIONS.UPLOAD_FAILED, approver.id, request, { outcome: 'error', details: message });
+
+            // Keep the request actionable: officers get a Retry Upload button instead of a dead end
+            await progress.flush();
+            await approvalMessage.edit(createApprovalMessage(requester, failedRequest));
+
+            return { success: false, message: `❌ Error during upload: ${message}\nYou can retry from the approval message.` };
+        }
+    }
+
+    /**
+     * Upload a request that matched an auto-approve rule, in the background
+     */
+    function runAutoApproval(request, requester, approvalMessage) {
+        const approver = {
+            id: client.user.id,
+            mention: `⚡ Auto-approval rule #${request.autoApproval.number}`,
+            displayName: 'Auto-approval'
+        };
+
+        approvalsInFlight.add(request.requestId);
+        uploadRequest(request, requester, approvalMessage, approver)
+            .then(outcome => console.log(`${outcome.success ? '✅' : '❌'} Auto-approved upload ${request.requestId}: ${outcome.message}`))
+            .catch(error => console.error(`❌ Auto-approved upload ${request.requestId} failed:`, error))
+            .finally(() => approvalsInFlight.delete(request.requestId));
+    }
+
+    /**
+     * Refuse an officer-initiated request whose artist opted out, or when the opt-out list can't be read
+     * @param {string} refusal - Reply when the artist opted out
+     * @returns {Promise<boolean>} - Whether the request was refused (the interaction has been answered)
+     */
+    async function refuseIfOptedOut(interaction, request, refusal) {
+        if (!isOfficerInitiated(request)) return false;
+
+        let optedOut;
+        try {
+            optedOut = await optOutRegistry.isOptedOut(request.authorId, getUploadChannelId(request));
+        } catch (error) {
+            console.error(`⚠️ Could not check opt-outs for upload request ${request.requestId}:`, error.message);
+            await interaction.reply({ content: '❌ Uploads of other members\' work are paused because the opt-out list could not be read. Please let an admin know.', flags: MessageFlags.Ephemeral });
+            return true;
+        }
+
+        if (optedOut) {
+            await interaction.reply({ content: refusal, flags: MessageFlags.Ephemeral });
+        }
+        return optedOut;
+    }
+
+    /**
+     * Refuse to upload (approve or retry) while the artist hasn't allowed it or has opted out
+     * @returns {Promise<boolean>} - Whether the upload was refused (the interaction has been answered)
+     */
+    async function refuseWithoutArtist(interaction, request) {
+        if (isAwaitingArtist(request)) {
+            await interaction.reply({ content: '⏳ This upload is waiting for the artist to allow it.', flags: MessageFlags.Ephemeral });
+            return true;
+        }
+
+        // The artist may have opted out after the request was submitted
+        return await refuseIfOptedOut(interaction, request, '🚫 The artist has opted out of having their work uploaded. Please deny this request.');
+    }
+
+    /**
+     * Count an officer's approval, running the upload once the request's quorum is met
+     * @param {Object} options - Passed to approveRequest by the approval that completes the quorum
+     */
+    async function castApproval(interaction, request, options = {}) {
+        if (await refuseWithoutArtist(interaction, request)) return;
+
+        // Rules may have changed since submission, so the current config decides
+        const approvalsRequired = config.getApprovalsRequiredFor(request.currentPath, request.approvalChannelId);
+        if (approvalsRequired < 2) {
+            await approveRequest(interaction, request, options);
+            return;
+        }
+
+        if (interaction.user.id === request.userId) {
+            await interaction.reply({ content: `❌ You can't approve your own upload. It needs ${approvalsRequired} approvals from other officers.`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const updated = await requestStore.recordApproval(request.requestId, interaction.user.id);
+        if (!updated) {
+            await interaction.reply({ content: '👍 You already approved this upload. Waiting for other officers.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (updated.approvals.length >= approvalsRequired) {
+            console.log(`👍 Quorum of ${approvalsRequired} reached for upload request ${request.requestId}`);
+            await approveRequest(interaction, { ...updated, approvalsRequired }, options);
+            return;
+        }
+
+        const pendingRequest = await requestStore.updateRequest(request.requestId, { approvalsRequired });
+        const requester = await client.users.fetch(request.userId);
+        await interaction.update(createApprovalMessage(requester, pendingRequest));
+
+        logEvent(AUDIT_ACTIONS.APPROVAL_VOTE, interaction.user.id, request, {
+            outcome: 'pending',
+            details: `${updated.approvals.length}/${approvalsRequired} approvals`
+        });
+
+        const remaining = approvalsRequired - updated.approvals.length;
+        await interaction.followUp({ content: `👍 Approval recorded (${updated.approvals.length}/${approvalsRequired}). The upload runs once ${remaining} more officer(s) approve.`, flags: MessageFlags.Ephemeral });
+    }
+
+    /**
+     * Upload every included file of a batch request, one after another
+     *
+     * Files that already reached Drive keep their file ID on the request,
+     * so retrying a failed batch only uploads the rest.
+     * @returns {Promise<Object>} - { success, message } summary for the approver
+     */
+    async function uploadBatchRequest(request, requester, approvalMessage, approver) {
+        const requestId = request.requestId;
+
+        const embed = createApprovalEmbed(requester, { ...request, status: REQUEST_STATUS.SUBMITTED });
+        const galleryEmbeds = createGalleryEmbeds(request);
+        const uploadPath = request.currentPath || '';
+        const collisionPolicy = config.getCollisionPolicyFor(getUploadChannelId(request));
+
+        const items = request.items;
+        const included = items.filter(item => item.included);
+        const duplicateItems = [];
+
+        let progress = null;
+        try {
+            for (let i = 0; i < included.length; i++) {
+                const item = included[i];
+                if (item.driveFileId) continue;
+
+                // Show which file of the batch is streaming alongside its progress bar
+                const batchEmbed = EmbedBuilder.from(embed)
+                    .addFields({ name: '📦 Batch Progress', value: `File ${i + 1} of ${included.length}: ${item.fileName}`, inline: false });
+                progress = createProgressReporter(approvalMessage, batchEmbed, galleryEmbeds);
+                progress.onProgress({ uploaded: 0, total: item.fileSize || null });
+
+                const result = await driveService.uploadFromUrl(item.attachmentUrl, item.fileName, uploadPath, request.description, {}, {
+                    onProgress: progress.onProgress,
+                    collisionPolicy,
+                    downloadLimits: getDownloadLimits(item, getUploadChannelId(request)),
+                    // Files officers already saw flagged ⚠️ upload anyway
+                    findDuplicates: (item.duplicates || []).length > 0
+                        ? null
+                        : contentHash => findDuplicates(contentHash, uploadPath)
+                });
+                await progress.flush();
+
+                // Leave matching files out for now and carry on with the rest
+                if (result.duplicate) {
+                    item.contentHash = result.contentHash;
+                    item.duplicates = result.duplicates;
+                    duplicateItems.push(item);
+                    continue;
+                }
+
+                item.driveFileId = result.fileId;
+                item.webViewLink = result.webViewLink;
+                item.uploadedFileName = result.fileName;
+                await requestStore.updateRequest(requestId, { items });
+
+                await hashIndex.recordUpload(result.contentHash, {
+                    fileId: result.fileId,
+                    fileName: result.fileName,
+                    path: uploadPath ? `${uploadPath}/${result.fileName}` : result.fileName,
+                    webViewLink: result.webViewLink
+                }).catch(error => console.error('⚠️ Could not record upload in the hash index:', error.message));
+            }
+
+            if (duplicateItems.length > 0) {
+                await holdDuplicateUpload(request, { items }, requester, approvalMessage);
+                const uploaded = included.filter(item => item.driveFileId).length;
+                return {
+                    success: false,
+                    message: `⚠️ ${duplicateItems.length} file(s) are already in Google Drive and were not uploaded (${uploaded} of ${included.length} uploaded). Exclude the files marked ⚠️ on the approval message, or approve again to upload them anyway.`
+                };
+            }
+
+            // Folders added from the DM picker now exist in Drive, so show them to the next picker
+            if (getPendingFoldersOnPath(request.pendingFolders, uploadPath).length > 0) {
+                driveService.refreshFolderCache().catch(error =>
+                    console.error('⚠️ Failed to refresh folder cache after creating folders:', error.message));
+            }
+
+            await requestStore.setStatus(requestId, REQUEST_STATUS.APPROVED, {
+                decidedBy: approver.id,
+                decidedAt: Date.now(),
+                items,
+                driveFileId: included[0].driveFileId,
+                webViewLink: included[0].webViewLink
+            });
+            logEvent(AUDIT_ACTIONS.APPROVED, approver.id, request, {
+                driveFileId: included.map(item => item.driveFileId).join(' '),
+                outcome: 'uploaded',
+                details: included.map(item => item.uploadedFileName || item.fileName).join(', ')
+            });
+
+            const uploadedList = formatUploadedFiles(included);
+
+            // Update approval message
+            const updatedEmbed = EmbedBuilder.from(embed)
+                .setColor(0x27ae60)
+                .setTitle('✅ Batch Upload Request APPROVED')
+                .addFields(
+                    { name: '👨‍💼 Approved by', value: approver.mention, inline: true },
+                    { name: '☁️ Uploaded Files', value: uploadedList, inline: false }
+                );
+
+            await approvalMessage.edit({
+                embeds: [updatedEmbed, ...galleryEmbeds],
+                components: []
+            });
+
+            // Notify user of success
+            const successEmbed = new EmbedBuilder()
+                .setTitle('✅ Batch Upload Approved!')
+                .setDescription(`Your **${included.length}** files have been uploaded to Google Drive`)
+                .addFields(
+                    { name: '📂 Location', value: uploadPath || '*(root folder)*', inline: true },
+                    { name: '👨‍💼 Approved by', value: approver.displayName, inline: true },
+                    { name: '🔗 Files', value: uploadedList, inline: false }
+                )
+                .setColor(0x27ae60)
+                .setTimestamp();
+
+            await safeDM(requester, { embeds: [successEmbed] });
+
+            await notifyArtistOfUpload(request, uploadedList);
+
+            // Clean up user's DM
+            await deleteOriginalDM(client, request.userId, request.dmMessageId, requestId);
+
+            return { success: true, message: `✅ Batch approved: ${included.length} file(s) uploaded successfully!` };
+
+        } catch (error) {
+            console.error('❌ Error during batch upload approval:', error);
+
+            const failedItem = included.find(item => !item.driveFileId);
+            const message = failedItem ? `${failedItem.fileName}: ${describeError(error)}` : describeError(error);
+
+            let failedRequest = { ...request, items, status: REQUEST_STATUS.FAILED, error: message, attempts: (request.attempts || 0) + 1 };
+            try {
+                failedRequest = await requestStore.setStatus(requestId, REQUEST_STATUS.FAILED, {
+                    decidedBy: approver.id,
+                    decidedAt: Date.now(),
+                    items,
+                    error: message,
+                    attempts: failedRequest.attempts
+                });
+            } catch (storeError) {
+                console.error('❌ Could not record failed upload:', storeError.message);
+            }
+            logEvent(AUDIT_ACTIONS.UPLOAD_FAILED, approver.id, request, { outcome: 'error', details: message });
+
+            if (progress) await progress.flush();
+            await approvalMessage.edit(createApprovalMessage(requester, failedRequest));
+
+            const uploaded = included.filter(item => item.driveFileId).length;
+            return { success: false, message: `❌ Error during batch upload (${uploaded} of ${included.length} uploaded): ${message}\nRetrying continues with the remaining files.` };
+        }
+    }
+
+    /**
+     * List uploaded batch files as Drive links (fits an embed field)
+     */
+    function formatUploadedFiles(items) {
+        let value = '';
+        for (let i = 0; i < items.length; i++) {
+            const line = `[${items[i].uploadedFileName || items[i].fileName}](${items[i].webViewLink})\n`;
+            if (value.length + line.length + 20 > 1024) {
+                value += `...and ${items.length - i} more`;
+                break;
+            }
+            value += line;
+        }
+        return value.trim();
+    }
+
+    /**
+     * Summarize an officer's edit for the audit log ("fileName: a.png → b.png; currentPath: A → B")
+     */
+    function describeChanges(before, after) {
+        const changes = ['fileName', 'fileNameTemplate', 'currentPath', 'description']
+            .filter(key => (before[key] || '') !== (after[key] || ''))
+            .map(key => `${key}: ${before[key] || '(none)'} → ${after[key] || '(none)'}`);
+        return changes.length > 0 ? changes.join('; ') : 'No changes';
+    }
+
+    /**
+     * Describe what happens next to a just-submitted request, for the requester
+     */
+    function describeSubmittedStatus(request) {
+        if (request.artistConsent) {
+            return `🎨 Waiting for <@${request.authorId}> to allow the upload${request.autoApproval ? ', then it uploads automatically' : ', then officers review it'}. You'll be notified when processed.`;
+        }
+        return request.autoApproval
+            ? '⚡ Auto-approved, uploading now. You\'ll be notified when it\'s done.'
+            : 'Sent to officers for approval. You\'ll be notified when processed.';
+    }
+
+    /**
+     * Modal asking an officer why a request is denied
+     */
+    function createDenyModal(requestId) {
+        const reasonInput = new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('Reason (shown to the requester)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('e.g. Please crop the watermark and resubmit')
+            .setRequired(true)
+            .setMaxLength(500);
+
+        return new ModalBuilder()
+            .setCustomId(`deny_modal_${requestId}`)
+            .setTitle('❌ Deny Upload Request')
+            .addComponents(new ActionRowBuilder().addComponents(reasonInput));
+    }
+
+    /**
+     * Deny a request with a reason, updating the approval message and DMing the requester
+     * (the interaction must already be deferred)
+     */
+    async function denyRequest(interaction, request, reason) {
+        const { requestId, userId, fileName } = request;
+
+        try {
+            await requestStore.setStatus(requestId, REQUEST_STATUS.DENIED, {
+                decidedBy: interaction.user.id,
+                decidedAt: Date.now(),
+                denyReason: reason
+            });
+            logEvent(AUDIT_ACTIONS.DENIED, interaction.user.id, request, { outcome: 'denied', details: reason });
+
+            // Update approval message
+            const approvalMessage = await fetchApprovalMessage(request);
+            if (approvalMessage) {
+                const updatedEmbed = EmbedBuilder.from(approvalMessage.embeds[0])
+                    .setColor(0xe74c3c)
+                    .setTitle('❌ Upload Request DENIED')
+                    .addFields(
+                        { name: '👨‍💼 Denied by', value: `<@${interaction.user.id}>`, inline: true },
+                        { name: '📝 Reason', value: reason, inline: false }
+                    );
+
+                await approvalMessage.edit({ 
+                    embeds: [updatedEmbed, ...approvalMessage.embeds.slice(1)], 
+                    components: []
+                });
+            }
+
+            // Notify user of denial, with a way to fix and try again
+            const requester = await client.users.fetch(userId);
+            if (requester) {
+                const deniedEmbed = new EmbedBuilder()
+                    .setTitle('❌ Upload Request Denied')
+                    .setDescription(`Your upload request for **${fileName}** has been denied.`)
+                    .addFields(
+                        { name: '👨‍💼 Denied by', value: interaction.user.displayName, inline: true },
+                        { name: '📝 Reason', value: reason, inline: false }
+                    )
+                    .setColor(0xe74c3c)
+                    .setTimestamp();
+
+                const resubmitButton = new ButtonBuilder()
+                    .setCustomId(`resubmit_${requestId}`)
+                    .setLabel('Fix and Resubmit')
+                    .setStyle(ButtonStyle.Primary)
+                    .setEmoji('🔁');
+
+                await safeDM(requester, { embeds: [deniedEmbed], components: [new ActionRowBuilder().addComponents(resubmitButton)] });
+            }
+
+            await interaction.editReply({ content: '❌ Upload request denied.', components: [] });
+
+            // Clean up user's DM
+            await deleteOriginalDM(client, userId, request.dmMessageId, requestId);
+
+        } catch (error) {
+            console.error('❌ Error processing denial:', error);
+            await interaction.editReply({ content: `❌ Error processing denial: ${error.message}`, components: [] });
+        }
+    }
+
+    /**
+     * Modal input for a batch request's file name template
+     */
+    function createTemplateInput(template) {
+        return new TextInputBuilder()
+            .setCustomId('filename')
+            .setLabel('Name Template (applies to every file)')
+            .setStyle(TextInputStyle.Short)
+            .setValue(template || '{original}')
+            .setPlaceholder('e.g. {date}_{author}_{index}_{original}')
+            .setRequired(true)
+            .setMaxLength(150);
+    }
+
+    /**
+     * Validate a batch name template from a modal and rename the batch's files with it,
+     * replying with an error (and returning null) if it uses unknown variables
+     */
+    async function getBatchTemplateUpdates(interaction, request, template, description) {
+        template = template.trim();
+
+        const unknown = findUnknownVariables(template);
+        if (unknown.length > 0) {
+            await interaction.reply({ content: `❌ Unknown template variable(s): ${unknown.map(name => `\`{${name}}\``).join(', ')}`, flags: MessageFlags.Ephemeral });
+            return null;
+        }
+
+        // "{original}" is the same as no template
+        const fileNameTemplate = template === '{original}' ? null : template;
+        return {
+            fileNameTemplate,
+            items: applyBatchTemplate(request.items, fileNameTemplate, description)
+        };
+    }
 
     // ================================
     // INTERACTION HANDLERS
@@ -23,7 +900,13 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
 
         // Handle attachment selection for multiple attachments (stateless)
         if (interaction.isStringSelectMenu() && interaction.customId === 'attachment_select_stateless') {
-            await handleAttachmentSelection(interaction, client, uploadRequests, sendFolderSelectionMessage);
+            await handleAttachmentSelection(interaction, client, requestStore, sendFolderSelectionMessage);
+            return;
+        }
+
+        // Handle the batch / separate choice after selecting several attachments
+        if (interaction.isButton() && (interaction.customId.startsWith('attachment_batch_') || interaction.customId.startsWith('attachment_separate_'))) {
+            await handleAttachmentSelection(interaction, client, requestStore, sendFolderSelectionMessage);
             return;
         }
 
@@ -31,15 +914,16 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
         if (interaction.isStringSelectMenu() && interaction.customId.startsWith('dm_folder_select_')) {
             const requestId = interaction.customId.replace('dm_folder_select_', '');
             
-            const request = extractRequestFromDMEmbed(interaction.message.embeds[0], interaction);
-            if (!request) {
-                await interaction.reply({ content: '❌ Upload request expired or not found.', flags: MessageFlags.Ephemeral });
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            const selectedPath = interaction.values[0];
+            if (!isPathWithin(selectedPath, request.lockedPath)) {
+                await interaction.reply({ content: `❌ Uploads from this channel must stay inside **${request.lockedPath}**.`, flags: MessageFlags.Ephemeral });
                 return;
             }
 
-            request.requestId = requestId;
-            request.currentPath = interaction.values[0];
-            uploadRequests.set(requestId, request);
+            await requestStore.updateRequest(requestId, { currentPath: selectedPath, folderPage: 0 });
 
             await interaction.deferUpdate();
             try {
@@ -54,17 +938,18 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
         if (interaction.isButton() && interaction.customId.startsWith('dm_folder_back_')) {
             const requestId = interaction.customId.replace('dm_folder_back_', '');
             
-            const request = extractRequestFromDMEmbed(interaction.message.embeds[0], interaction);
-            if (!request) {
-                await interaction.reply({ content: '❌ Upload request expired or not found.', flags: MessageFlags.Ephemeral });
-                return;
-            }
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
 
-            request.requestId = requestId;
             const pathParts = request.currentPath.split('/');
             pathParts.pop();
-            request.currentPath = pathParts.join('/');
-            uploadRequests.set(requestId, request);
+            const parentPath = pathParts.join('/');
+            if (!isPathWithin(parentPath, request.lockedPath)) {
+                await interaction.reply({ content: `❌ Uploads from this channel must stay inside **${request.lockedPath}**.`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            await requestStore.updateRequest(requestId, { currentPath: parentPath, folderPage: 0 });
 
             await interaction.deferUpdate();
             try {
@@ -76,30 +961,211 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
             return;
         }
 
+        // Handle folder page navigation
+        if (interaction.isButton() && (interaction.customId.startsWith('dm_folder_prev_') || interaction.customId.startsWith('dm_folder_next_'))) {
+            const isNext = interaction.customId.startsWith('dm_folder_next_');
+            const requestId = interaction.customId.replace(isNext ? 'dm_folder_next_' : 'dm_folder_prev_', '');
+
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            const folderPage = Math.max(0, (request.folderPage || 0) + (isNext ? 1 : -1));
+            await requestStore.updateRequest(requestId, { folderPage });
+
+            await interaction.deferUpdate();
+            try {
+                await sendFolderSelectionMessage(interaction.user, requestId, interaction);
+            } catch (error) {
+                console.error('❌ Error changing folder page:', error);
+                await interaction.followUp({ content: '❌ Error changing folder page.', flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
+        // Handle leaving folder search
+        if (interaction.isButton() && interaction.customId.startsWith('dm_folder_search_clear_')) {
+            const requestId = interaction.customId.replace('dm_folder_search_clear_', '');
+
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            await requestStore.updateRequest(requestId, { folderSearch: null });
+
+            await interaction.deferUpdate();
+            try {
+                await sendFolderSelectionMessage(interaction.user, requestId, interaction);
+            } catch (error) {
+                console.error('❌ Error leaving folder search:', error);
+                await interaction.followUp({ content: '❌ Error leaving folder search.', flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
+        // Handle search folders button
+        if (interaction.isButton() && interaction.customId.startsWith('dm_folder_search_')) {
+            const requestId = interaction.customId.replace('dm_folder_search_', '');
+
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            const modal = new ModalBuilder()
+                .setCustomId(`dm_folder_search_modal_${requestId}`)
+                .setTitle('🔎 Search Folders');
+
+            const queryInput = new TextInputBuilder()
+                .setCustomId('query')
+                .setLabel('Folder name or path')
+                .setStyle(TextInputStyle.Short)
+                .setValue(request.folderSearch || '')
+                .setPlaceholder('e.g. dragons sketches')
+                .setRequired(true)
+                .setMaxLength(100);
+
+            modal.addComponents(new ActionRowBuilder().addComponents(queryInput));
+
+            await interaction.showModal(modal);
+            return;
+        }
+
+        // Handle folder search modal
+        if (interaction.isModalSubmit() && interaction.customId.startsWith('dm_folder_search_modal_')) {
+            const requestId = interaction.customId.replace('dm_folder_search_modal_', '');
+
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            const folderSearch = interaction.fields.getTextInputValue('query').trim();
+            await requestStore.updateRequest(requestId, { folderSearch: folderSearch || null });
+
+            await interaction.deferUpdate();
+            try {
+                await sendFolderSelectionMessage(interaction.user, requestId, interaction);
+            } catch (error) {
+                console.error('❌ Error searching folders:', error);
+                await interaction.followUp({ content: '❌ Error searching folders.', flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
+        // Handle jumping to a folder from search results
+        if (interaction.isStringSelectMenu() && interaction.customId.startsWith('dm_folder_search_select_')) {
+            const requestId = interaction.customId.replace('dm_folder_search_select_', '');
+
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            // Search results are keyed by folder ID since paths can exceed Discord's 100 character value limit
+            const selectedPath = driveService.getCachedFolderPath(interaction.values[0]);
+            if (selectedPath === null) {
+                await interaction.reply({ content: '❌ That folder is no longer available. Try searching again.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+            if (!isPathWithin(selectedPath, request.lockedPath)) {
+                await interaction.reply({ content: `❌ Uploads from this channel must stay inside **${request.lockedPath}**.`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            await requestStore.updateRequest(requestId, { currentPath: selectedPath, folderPage: 0, folderSearch: null });
+
+            await interaction.deferUpdate();
+            try {
+                await sendFolderSelectionMessage(interaction.user, requestId, interaction);
+            } catch (error) {
+                console.error('❌ Error jumping to folder:', error);
+                await interaction.followUp({ content: '❌ Error jumping to folder.', flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
+        // Handle new folder button
+        if (interaction.isButton() && interaction.customId.startsWith('dm_new_folder_')) {
+            const requestId = interaction.customId.replace('dm_new_folder_', '');
+
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            if (!await canCreateFolders(client, request.guildId, interaction.user.id)) {
+                await interaction.reply({ content: '❌ You don\'t have permission to create folders.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const modal = new ModalBuilder()
+                .setCustomId(`dm_new_folder_modal_${requestId}`)
+                .setTitle('🆕 New Folder');
+
+            const nameInput = new TextInputBuilder()
+                .setCustomId('name')
+                .setLabel(`Folder name (inside ${request.currentPath || 'the root folder'})`.slice(0, 45))
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('e.g. Sketches')
+                .setRequired(true)
+                .setMaxLength(100);
+
+            modal.addComponents(new ActionRowBuilder().addComponents(nameInput));
+
+            await interaction.showModal(modal);
+            return;
+        }
+
+        // Handle new folder modal
+        if (interaction.isModalSubmit() && interaction.customId.startsWith('dm_new_folder_modal_')) {
+            const requestId = interaction.customId.replace('dm_new_folder_modal_', '');
+
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            if (!await canCreateFolders(client, request.guildId, interaction.user.id)) {
+                await interaction.reply({ content: '❌ You don\'t have permission to create folders.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const folderName = interaction.fields.getTextInputValue('name').trim();
+            if (!folderName || folderName.includes('/') || folderName === '.' || folderName === '..') {
+                await interaction.reply({ content: '❌ Folder names can\'t be empty or contain `/`.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            // The folder only exists on the request until an officer approves the upload
+            const newPath = request.currentPath ? `${request.currentPath}/${folderName}` : folderName;
+            const pendingFolders = request.pendingFolders || [];
+            if (!driveService.findCachedFolderIdByPath(newPath) && !pendingFolders.includes(newPath)) {
+                pendingFolders.push(newPath);
+            }
+
+            const updated = await requestStore.updateRequest(requestId, { currentPath: newPath, folderPage: 0, pendingFolders });
+            logEvent(AUDIT_ACTIONS.EDITED, interaction.user.id, updated, { details: `Added new folder ${newPath}` });
+
+            await interaction.deferUpdate();
+            try {
+                await sendFolderSelectionMessage(interaction.user, requestId, interaction);
+            } catch (error) {
+                console.error('❌ Error adding new folder:', error);
+                await interaction.followUp({ content: '❌ Error adding new folder.', flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
         // Handle edit details button
         if (interaction.isButton() && interaction.customId.startsWith('dm_edit_details_')) {
             const requestId = interaction.customId.replace('dm_edit_details_', '');
             
-            const request = extractRequestFromDMEmbed(interaction.message.embeds[0], interaction);
-            if (!request) {
-                await interaction.reply({ content: '❌ Upload request expired or not found.', flags: MessageFlags.Ephemeral });
-                return;
-            }
-            
-            request.requestId = requestId;
-            uploadRequests.set(requestId, request);
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
 
             const modal = new ModalBuilder()
                 .setCustomId(`dm_details_modal_${requestId}`)
                 .setTitle('✏️ Edit Upload Details');
 
-            const fileNameInput = new TextInputBuilder()
-                .setCustomId('filename')
-                .setLabel('File Name')
-                .setStyle(TextInputStyle.Short)
-                .setValue(request.fileName)
-                .setRequired(true)
-                .setMaxLength(100);
+            // A batch is named with one template instead of a single file name
+            const fileNameInput = request.batch
+                ? createTemplateInput(request.fileNameTemplate)
+                : new TextInputBuilder()
+                    .setCustomId('filename')
+                    .setLabel('File Name')
+                    .setStyle(TextInputStyle.Short)
+                    .setValue(request.fileName)
+                    .setRequired(true)
+                    .setMaxLength(100);
 
             const descriptionInput = new TextInputBuilder()
                 .setCustomId('description')
@@ -123,35 +1189,69 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
         if (interaction.isButton() && interaction.customId.startsWith('dm_confirm_upload_')) {
             const requestId = interaction.customId.replace('dm_confirm_upload_', '');
             
-            const request = extractRequestFromDMEmbed(interaction.message.embeds[0], interaction);
-            if (!request) {
-                await interaction.reply({ content: '❌ Upload request expired or not found.', flags: MessageFlags.Ephemeral });
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            if (await refuseIfOptedOut(interaction, request, '🚫 The artist has opted out of having their work uploaded, so this request can\'t be submitted.')) {
                 return;
             }
-            
-            request.requestId = requestId;
-            uploadRequests.set(requestId, request);
 
             try {
                 // Send approval request to officer channel
-                const config = require('../utils/config');
-                const { getApprovalChannelFor } = config;
-                const approvalId = getApprovalChannelFor(request.channelId || interaction.channelId);
+                const approvalId = config.getApprovalChannelFor(getUploadChannelId(request) || interaction.channelId);
                 const approvalChannel = approvalId ? client.channels.cache.get(approvalId) : null;
                 if (!approvalChannel) {
                     await interaction.reply({ content: '❌ Approval channel not configured. Please contact an administrator.', flags: MessageFlags.Ephemeral });
                     return;
                 }
 
-                const approvalEmbed = createApprovalEmbed(interaction.user, request, interaction.message.id);
-                const approvalButtons = createApprovalButtons(interaction.message.id);
-                
-                await approvalChannel.send({
-                    embeds: [approvalEmbed],
-                    components: [approvalButtons]
+                const approvalsRequired = config.getApprovalsRequiredFor(request.currentPath, approvalChannel.id);
+
+                // Officer uploads of someone else's work may be held until the artist allows them
+                const artistConsent = isOfficerInitiated(request) && config.isArtistConsentRequired(request.guildId) ? 'pending' : null;
+
+                // Quorum rules take precedence: uploads that need several officers are never auto-approved
+                const matchedRule = approvalsRequired < 2 ? await findAutoApproveRule(client, request) : null;
+                const autoApproval = matchedRule
+                    ? { number: matchedRule.number, description: describeAutoApproveRule(matchedRule.rule) }
+                    : null;
+
+                // Auto-approved requests get an informational embed for auditing, without buttons
+                // (held ones keep Deny until the artist answers)
+                const approvalContent = createApprovalMessage(interaction.user, { ...request, approvalsRequired, autoApproval, artistConsent });
+                const approvalMessage = await approvalChannel.send(autoApproval && !artistConsent ? { ...approvalContent, components: [] } : approvalContent);
+
+                const submittedRequest = await requestStore.setStatus(requestId, REQUEST_STATUS.SUBMITTED, {
+                    approvalChannelId: approvalChannel.id,
+                    approvalMessageId: approvalMessage.id,
+                    // Ephemeral pickers can't be fetched or deleted later
+                    dmChannelId: request.ephemeralPicker ? null : interaction.channelId,
+                    dmMessageId: request.ephemeralPicker ? null : interaction.message.id,
+                    pendingFolders: getPendingFoldersOnPath(request.pendingFolders, request.currentPath),
+                    approvalsRequired,
+                    autoApproval,
+                    artistConsent,
+                    submittedAt: Date.now()
+                });
+
+                logEvent(AUDIT_ACTIONS.SUBMITTED, interaction.user.id, submittedRequest, {
+                    outcome: autoApproval ? 'auto-approved' : 'pending',
+                    details: autoApproval ? `Auto-approval rule #${autoApproval.number}: ${autoApproval.description}` : null
                 });
 
-                console.log(`📤 Upload request ${interaction.message.id} sent for approval`);
+                if (isOfficerInitiated(submittedRequest)) {
+                    notifyArtistOfRequest(submittedRequest);
+                }
+
+                if (autoApproval && artistConsent) {
+                    // Uploads once the artist allows it
+                    console.log(`⚡ Upload request ${requestId} matched auto-approval rule #${autoApproval.number}, waiting for the artist`);
+                } else if (autoApproval) {
+                    console.log(`⚡ Upload request ${requestId} auto-approved by rule #${autoApproval.number}`);
+                    runAutoApproval(submittedRequest, interaction.user, approvalMessage);
+                } else {
+                    console.log(`📤 Upload request ${requestId} sent for approval`);
+                }
 
                 // Update original DM to show submission status
                 const submittedEmbed = new EmbedBuilder()
@@ -160,13 +1260,18 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
                     .addFields(
                         { name: '📂 Upload Location', value: request.currentPath || '*(Root)*', inline: true },
                         { name: '📝 File Name', value: request.fileName, inline: true },
-                        { name: '🆔 Request ID', value: interaction.message.id, inline: true },
+                        { name: '🆔 Request ID', value: requestId, inline: true },
                         { name: '📋 Description', value: request.description || '*(none)*', inline: false },
-                        { name: '⏳ Status', value: 'Sent to officers for approval. You\'ll be notified when processed.', inline: false }
+                        { name: '⏳ Status', value: describeSubmittedStatus(submittedRequest), inline: false }
                     )
                     .setColor(0xf39c12)
                     .setTimestamp();
 
+                if (request.ephemeralPicker) {
+                    await interaction.update({ embeds: [submittedEmbed], components: [] });
+                    return;
+                }
+
                 try {
                     // Ensure we have the DM channel context (fixes post-restart cache issues)
                     const dmChannel = await interaction.user.createDM();
@@ -181,7 +1286,9 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
 
                 // Send a temporary success message that gets deleted
                 const tempMessage = await interaction.reply({ 
-                    content: '✅ Upload request submitted for approval! The message above has been updated.'
+                    content: autoApproval
+                        ? '⚡ Upload auto-approved! The message above has been updated.'
+                        : '✅ Upload request submitted for approval! The message above has been updated.'
                 });
                 
                 // Delete the temporary message after 2 seconds to reduce clutter
@@ -204,16 +1311,41 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
         if (interaction.isModalSubmit() && interaction.customId.startsWith('dm_details_modal_')) {
             const requestId = interaction.customId.replace('dm_details_modal_', '');
             
-            const request = uploadRequests.get(requestId);
-            if (!request) {
-                await interaction.reply({ content: '❌ Upload request expired or not found.', flags: MessageFlags.Ephemeral });
+            const request = await getDraftRequest(interaction, requestId);
+            if (!request) return;
+
+            let fileName = interaction.fields.getTextInputValue('filename');
+            const description = interaction.fields.getTextInputValue('description');
+
+            if (request.batch) {
+                const updates = await getBatchTemplateUpdates(interaction, request, fileName, description);
+                if (!updates) return;
+
+                const updated = await requestStore.updateRequest(requestId, { ...updates, description });
+                logEvent(AUDIT_ACTIONS.EDITED, interaction.user.id, updated, { details: `Name template: ${updated.fileNameTemplate || '{original}'}` });
+
+                await interaction.deferUpdate();
+                try {
+                    await sendFolderSelectionMessage(interaction.user, requestId, interaction);
+                } catch (error) {
+                    console.error('❌ Error updating details:', error);
+                    await interaction.followUp({ content: '❌ Error updating details.', flags: MessageFlags.Ephemeral });
+                }
                 return;
             }
 
+            // Re-render the templated name so {slug} picks up the new description,
+            // unless the user typed their own file name
+            if (request.fileNameTemplate && fileName === request.fileName && description !== request.description) {
+                fileName = renderFileNameTemplate(request.fileNameTemplate, {
+                    ...request.templateVars,
+                    slug: slugify(description)
+                });
+            }
+
             // Update request with new details
-            request.fileName = interaction.fields.getTextInputValue('filename');
-            request.description = interaction.fields.getTextInputValue('description');
-            uploadRequests.set(requestId, request);
+            const updated = await requestStore.updateRequest(requestId, { fileName, description });
+            logEvent(AUDIT_ACTIONS.EDITED, interaction.user.id, updated, { details: fileName !== request.fileName ? `Renamed from ${request.fileName}` : 'Description changed' });
 
             await interaction.deferUpdate();
             try {
@@ -229,190 +1361,338 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
         // APPROVAL WORKFLOW INTERACTIONS
         // ================================
 
-        // Handle approval button
-        if (interaction.isButton() && interaction.customId.startsWith('approve_')) {
-            const dmMessageId = interaction.customId.replace('approve_', '');
-            
-            // Get approval info from embed
-            const embed = interaction.message.embeds[0];
-            if (!embed) {
-                await interaction.reply({ content: '❌ Could not find request information in message.', flags: MessageFlags.Ephemeral });
+        // Handle the artist allowing or declining an officer's upload of their work
+        if (interaction.isButton() && (interaction.customId.startsWith('consent_allow_') || interaction.customId.startsWith('consent_decline_'))) {
+            const allowed = interaction.customId.startsWith('consent_allow_');
+            const requestId = interaction.customId.replace(allowed ? 'consent_allow_' : 'consent_decline_', '');
+
+            const request = await requestStore.getRequest(requestId);
+            if (!request) {
+                await interaction.reply({ content: '❌ Upload request not found.', flags: MessageFlags.Ephemeral });
                 return;
             }
-
-            // Check if already processed
-            if (embed.title.includes('APPROVED') || embed.title.includes('DENIED') || embed.title.includes('FAILED')) {
-                await interaction.reply({ content: '❌ This request has already been processed.', flags: MessageFlags.Ephemeral });
+            // The prompt may be posted in the upload channel, where anyone can click it
+            if (request.authorId !== interaction.user.id) {
+                await interaction.reply({ content: '❌ Only the artist can answer this.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+            if (request.status !== REQUEST_STATUS.SUBMITTED || !isAwaitingArtist(request) || approvalsInFlight.has(requestId)) {
+                await interaction.update({ components: [] });
+                await interaction.followUp({ content: '❌ This upload request was already closed.', flags: MessageFlags.Ephemeral });
                 return;
             }
 
-            const getFieldValue = (fieldName) => embed.fields.find(f => f.name === fieldName)?.value;
-            const userId = getFieldValue('👤 Requested by')?.match(/<@(\d+)>/)?.[1];
-            const fileName = getFieldValue('📁 File Name');
-            const uploadPath = getFieldValue('📂 Upload Path')?.replace('*(root folder)*', '') || '';
-            const attachmentUrl = getFieldValue('🔗 Original File');
-            const description = getFieldValue('📋 Description')?.replace('*(no description)*', '') || '';
+            const consentEmbed = EmbedBuilder.from(interaction.message.embeds[0]);
+
+            if (allowed) {
+                const updated = await requestStore.updateRequest(requestId, { artistConsent: 'allowed', artistConsentAt: Date.now() });
+                logEvent(AUDIT_ACTIONS.ARTIST_CONSENT, interaction.user.id, updated, { outcome: 'allowed' });
+
+                await interaction.update({
+                    embeds: [consentEmbed.setColor(0x27ae60).addFields({ name: '✅ Allowed', value: 'Thanks! You\'ll get a link once it is uploaded.', inline: false })],
+                    components: []
+                });
+
+                try {
+                    const requester = await client.users.fetch(updated.userId);
+                    const approvalMessage = await fetchApprovalMessage(updated);
+                    if (approvalMessage && updated.autoApproval) {
+                        console.log(`⚡ Artist allowed auto-approved upload request ${requestId}`);
+                        runAutoApproval(updated, requester, approvalMessage);
+                    } else if (approvalMessage) {
+                        await approvalMessage.edit(createApprovalMessage(requester, updated));
+                    }
 
-            if (!userId || !fileName || !attachmentUrl) {
-                await interaction.reply({ content: '❌ Missing required approval information.', flags: MessageFlags.Ephemeral });
+                    await safeDM(requester, `🎨 <@${interaction.user.id}> allowed the upload of **${updated.fileName}**. ${updated.autoApproval ? 'It is uploading now.' : 'It is now waiting for officer approval.'}`);
+                } catch (error) {
+                    console.error(`⚠️ Could not continue upload request ${requestId} after artist consent:`, error.message);
+                }
                 return;
             }
 
-            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            await interaction.deferUpdate();
 
             try {
-                // Download and upload file
-                const result = await driveService.uploadFromUrl(attachmentUrl, fileName, uploadPath, description);
-                
-                // Update approval message
-                const updatedEmbed = EmbedBuilder.from(embed)
-                    .setColor(0x27ae60)
-                    .setTitle('✅ Upload Request APPROVED')
-                    .addFields({ name: '👨‍💼 Approved by', value: `<@${interaction.user.id}>`, inline: true });
+                await requestStore.setStatus(requestId, REQUEST_STATUS.DENIED, {
+                    decidedBy: interaction.user.id,
+                    decidedAt: Date.now(),
+                    denyReason: ARTIST_DECLINED_REASON,
+                    artistConsent: 'declined'
+                });
+                logEvent(AUDIT_ACTIONS.ARTIST_CONSENT, interaction.user.id, request, { outcome: 'declined', details: ARTIST_DECLINED_REASON });
 
-                await interaction.message.edit({ 
-                    embeds: [updatedEmbed], 
+                await interaction.editReply({
+                    embeds: [consentEmbed.setColor(0xe74c3c).addFields({ name: '❌ Declined', value: 'The request was closed. Nothing was uploaded.', inline: false })],
                     components: []
                 });
 
-                // Notify user of success
-                const requester = await client.users.fetch(userId);
-                if (requester) {
-                    const successEmbed = new EmbedBuilder()
-                        .setTitle('✅ Upload Approved!')
-                        .setDescription(`Your file **${fileName}** has been uploaded to Google Drive`)
-                        .addFields(
-                            { name: '📁 File Name', value: fileName, inline: true },
-                            { name: '📂 Location', value: uploadPath || '*(root folder)*', inline: true },
-                            { name: '👨‍💼 Approved by', value: interaction.user.displayName, inline: true },
-                            { name: '🔗 View File', value: `[Open in Google Drive](${result.webViewLink})`, inline: false }
-                        )
-                        .setColor(0x27ae60)
-                        .setTimestamp();
+                const approvalMessage = await fetchApprovalMessage(request);
+                if (approvalMessage) {
+                    const declinedEmbed = EmbedBuilder.from(approvalMessage.embeds[0])
+                        .setColor(0xe74c3c)
+                        .setTitle(request.batch ? '🎨 Batch Upload Request DECLINED BY ARTIST' : '🎨 Upload Request DECLINED BY ARTIST')
+                        .addFields({ name: '❌ Declined by', value: `<@${interaction.user.id}>`, inline: true });
 
-                    await safeDM(requester, { embeds: [successEmbed] });
+                    await approvalMessage.edit({
+                        embeds: [declinedEmbed, ...approvalMessage.embeds.slice(1)],
+                        components: []
+                    });
                 }
 
-                await interaction.editReply('✅ Upload approved and completed successfully!');
+                const requester = await client.users.fetch(request.userId);
+                await safeDM(requester, `🎨 <@${interaction.user.id}> declined the upload of **${request.fileName}**, so the request was closed.`);
+
+                // Clean up the requester's DM
+                await deleteOriginalDM(client, request.userId, request.dmMessageId, requestId);
+            } catch (error) {
+                console.error('❌ Error processing artist decline:', error);
+                await interaction.followUp({ content: `❌ Error declining the upload: ${error.message}`, flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
+        // Handle approval button
+        if (interaction.isButton() && interaction.customId.startsWith('approve_')) {
+            const requestId = interaction.customId.replace('approve_', '');
+            
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
 
-                // Clean up user's DM
-                await deleteOriginalDM(client, userId, dmMessageId, 'approved');
+            await castApproval(interaction, request);
+            return;
+        }
 
-                         } catch (error) {
-                 console.error('❌ Error during upload approval:', error);
-                 
-                 const errorEmbed = EmbedBuilder.from(embed)
-                     .setColor(0xe74c3c)
-                     .setTitle('❌ Upload Request FAILED')
-                     .addFields({ name: '❌ Error', value: error.message, inline: false });
+        // Handle retry of a failed upload
+        if (interaction.isButton() && interaction.customId.startsWith('retry_upload_')) {
+            const requestId = interaction.customId.replace('retry_upload_', '');
 
-                 await interaction.message.edit({ 
-                     embeds: [errorEmbed], 
-                     components: []
-                 });
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
+            if (await refuseWithoutArtist(interaction, request)) return;
 
-                 await interaction.editReply(`❌ Error during upload: ${error.message}`);
-             }
-             return;
+            await approveRequest(interaction, request);
+            return;
         }
 
-        // Handle denial button
-        if (interaction.isButton() && interaction.customId.startsWith('deny_')) {
-            const dmMessageId = interaction.customId.replace('deny_', '');
-            
-            // Get user ID from embed
-            const embed = interaction.message.embeds[0];
-            if (!embed) {
-                await interaction.reply({ content: '❌ Could not find request information in message.', flags: MessageFlags.Ephemeral });
-                return;
-            }
+        // Handle "Replace as New Version" for duplicate uploads
+        if (interaction.isButton() && interaction.customId.startsWith('dup_replace_')) {
+            const requestId = interaction.customId.replace('dup_replace_', '');
+
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
 
-            // Check if already processed
-            if (embed.title.includes('APPROVED') || embed.title.includes('DENIED') || embed.title.includes('FAILED')) {
-                await interaction.reply({ content: '❌ This request has already been processed.', flags: MessageFlags.Ephemeral });
+            const target = (request.duplicates || [])[0];
+            if (!target) {
+                await interaction.reply({ content: '❌ No existing file found to replace.', flags: MessageFlags.Ephemeral });
                 return;
             }
 
-            const getFieldValue = (fieldName) => embed.fields.find(f => f.name === fieldName)?.value;
-            const userId = getFieldValue('👤 Requested by')?.match(/<@(\d+)>/)?.[1];
-            const fileName = getFieldValue('📁 File Name');
+            await castApproval(interaction, request, { replaceFileId: target.fileId, replacePath: target.path });
+            return;
+        }
 
-            if (!userId || !fileName) {
-                await interaction.reply({ content: '❌ Missing user information in approval request.', flags: MessageFlags.Ephemeral });
-                return;
-            }
+        // Handle "Skip" for duplicate uploads (already in Drive, nothing to upload)
+        if (interaction.isButton() && interaction.customId.startsWith('dup_skip_')) {
+            const requestId = interaction.customId.replace('dup_skip_', '');
+
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
+
+            const existing = (request.duplicates || [])[0];
+            const embed = interaction.message.embeds[0];
 
             await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
             try {
-                // Update approval message
+                await requestStore.setStatus(requestId, REQUEST_STATUS.SKIPPED, {
+                    decidedBy: interaction.user.id,
+                    decidedAt: Date.now(),
+                    driveFileId: existing?.fileId,
+                    webViewLink: existing?.webViewLink
+                });
+                logEvent(AUDIT_ACTIONS.SKIPPED, interaction.user.id, request, {
+                    driveFileId: existing?.fileId || null,
+                    outcome: 'skipped',
+                    details: existing ? `Already in Drive as ${existing.path}` : null
+                });
+
                 const updatedEmbed = EmbedBuilder.from(embed)
-                    .setColor(0xe74c3c)
-                    .setTitle('❌ Upload Request DENIED')
-                    .addFields({ name: '👨‍💼 Denied by', value: `<@${interaction.user.id}>`, inline: true });
+                    .setColor(0x95a5a6)
+                    .setTitle('⏭️ Upload Request SKIPPED (duplicate)')
+                    .addFields({ name: '👨‍💼 Skipped by', value: `<@${interaction.user.id}>`, inline: true });
 
-                await interaction.message.edit({ 
-                    embeds: [updatedEmbed], 
-                    components: []
-                });
+                await interaction.message.edit({ embeds: [updatedEmbed], components: [] });
 
-                // Notify user of denial
-                const requester = await client.users.fetch(userId);
+                const requester = await client.users.fetch(request.userId);
                 if (requester) {
-                    const deniedEmbed = new EmbedBuilder()
-                        .setTitle('❌ Upload Request Denied')
-                        .setDescription(`Your upload request for **${fileName}** has been denied.`)
-                        .addFields({ name: '👨‍💼 Denied by', value: interaction.user.displayName, inline: true })
-                        .setColor(0xe74c3c)
+                    const skippedEmbed = new EmbedBuilder()
+                        .setTitle('⏭️ Already in Google Drive')
+                        .setDescription(`Your file **${request.fileName}** is already in Google Drive, so it was not uploaded again.`)
+                        .setColor(0x95a5a6)
                         .setTimestamp();
+                    if (existing) {
+                        const location = existing.webViewLink ? `[${existing.path}](${existing.webViewLink})` : existing.path;
+                        skippedEmbed.addFields({ name: '📂 Existing File', value: location, inline: false });
+                    }
 
-                    await safeDM(requester, { embeds: [deniedEmbed] });
+                    await safeDM(requester, { embeds: [skippedEmbed] });
                 }
 
-                await interaction.editReply('❌ Upload request denied.');
-
-                // Clean up user's DM
-                await deleteOriginalDM(client, userId, dmMessageId, 'denied');
+                await interaction.editReply('⏭️ Request closed as a duplicate.');
 
+                await deleteOriginalDM(client, request.userId, request.dmMessageId, requestId);
             } catch (error) {
-                console.error('❌ Error processing denial:', error);
-                await interaction.editReply(`❌ Error processing denial: ${error.message}`);
+                console.error('❌ Error skipping duplicate request:', error);
+                await interaction.editReply(`❌ Error skipping request: ${error.message}`);
             }
             return;
         }
 
-        // Handle officer edit button
-        if (interaction.isButton() && interaction.customId.startsWith('officer_edit_')) {
-            const requestId = interaction.customId.replace('officer_edit_', '');
+        // Handle denial button: ask for a reason (preset menu if configured, otherwise a modal)
+        if (interaction.isButton() && interaction.customId.startsWith('deny_')) {
+            const requestId = interaction.customId.replace('deny_', '');
             
-            // Extract current data from approval embed (stateless)
-            const embed = interaction.message.embeds[0];
-            if (!embed) {
-                await interaction.reply({ content: '❌ Could not find request information in message.', flags: MessageFlags.Ephemeral });
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
+
+            const presets = config.get('denyReasons') || [];
+            if (presets.length === 0) {
+                await interaction.showModal(createDenyModal(requestId));
                 return;
             }
 
-            const getFieldValue = (fieldName) => embed.fields.find(f => f.name === fieldName)?.value;
-            const fileName = getFieldValue('📁 File Name');
-            const uploadPath = getFieldValue('📂 Upload Path')?.replace('*(root folder)*', '') || '';
-            const description = getFieldValue('📋 Description')?.replace('*(no description)*', '') || '';
+            const presetMenu = new StringSelectMenuBuilder()
+                .setCustomId(`deny_preset_${requestId}`)
+                .setPlaceholder('📝 Choose a reason for denying...')
+                .addOptions(
+                    ...presets.slice(0, 24).map((reason, i) => ({ label: reason.slice(0, 100), value: String(i), emoji: '📝' })),
+                    { label: 'Write a custom reason...', value: 'custom', emoji: '✍️' }
+                );
+
+            await interaction.reply({
+                content: `Why is **${request.fileName}** being denied?`,
+                components: [new ActionRowBuilder().addComponents(presetMenu)],
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        // Handle a preset deny reason (or the switch to a custom one)
+        if (interaction.isStringSelectMenu() && interaction.customId.startsWith('deny_preset_')) {
+            const requestId = interaction.customId.replace('deny_preset_', '');
+
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
+
+            if (interaction.values[0] === 'custom') {
+                await interaction.showModal(createDenyModal(requestId));
+                return;
+            }
+
+            const reason = (config.get('denyReasons') || [])[parseInt(interaction.values[0])];
+            if (!reason) {
+                await interaction.update({ content: '❌ That preset reason no longer exists. Click Deny again.', components: [] });
+                return;
+            }
+
+            await interaction.deferUpdate();
+            await denyRequest(interaction, request, reason);
+            return;
+        }
+
+        // Handle deny reason modal submission
+        if (interaction.isModalSubmit() && interaction.customId.startsWith('deny_modal_')) {
+            const requestId = interaction.customId.replace('deny_modal_', '');
+
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
+
+            const reason = interaction.fields.getTextInputValue('reason').trim();
+
+            // Modals opened from the ephemeral preset menu replace that menu; others get a new reply
+            if (interaction.message && interaction.message.flags.has(MessageFlags.Ephemeral)) {
+                await interaction.deferUpdate();
+            } else {
+                await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            }
+            await denyRequest(interaction, request, reason);
+            return;
+        }
+
+        // Handle "Fix and Resubmit" from a denial DM
+        if (interaction.isButton() && interaction.customId.startsWith('resubmit_')) {
+            const requestId = interaction.customId.replace('resubmit_', '');
 
-            if (!fileName) {
-                await interaction.reply({ content: '❌ Missing file information in approval request.', flags: MessageFlags.Ephemeral });
+            const request = await requestStore.getRequest(requestId);
+            if (!request || request.userId !== interaction.user.id || request.status !== REQUEST_STATUS.DENIED) {
+                await interaction.reply({ content: '❌ This upload request can no longer be resubmitted.', flags: MessageFlags.Ephemeral });
                 return;
             }
+            if (request.resubmittedAs) {
+                await interaction.reply({ content: '❌ You already resubmitted this upload. Check your newer messages.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            try {
+                // Start a fresh draft with the denied request's folder and details filled in
+                const draft = await requestStore.createRequest(buildResubmission(request));
+                await requestStore.updateRequest(requestId, { resubmittedAs: draft.requestId });
+                logEvent(AUDIT_ACTIONS.RESUBMITTED, interaction.user.id, request, { details: `New request ${draft.requestId}` });
+
+                await interaction.update({ components: [] });
+                await sendFolderSelectionMessage(interaction.user, draft.requestId);
+                console.log(`🔁 Upload request ${requestId} resubmitted as ${draft.requestId}`);
+            } catch (error) {
+                console.error('❌ Error resubmitting request:', error);
+                await interaction.followUp({ content: '❌ Error starting the resubmission. Try reacting to the original message again.', flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
+        // Handle including / excluding files of a batch request
+        if (interaction.isStringSelectMenu() && interaction.customId.startsWith('batch_toggle_')) {
+            const requestId = interaction.customId.replace('batch_toggle_', '');
+
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
+
+            // Files that already reached Drive on an earlier attempt stay included
+            const selected = new Set(interaction.values.map(value => parseInt(value)));
+            const items = request.items.map((item, i) => ({ ...item, included: selected.has(i) || Boolean(item.driveFileId) }));
+
+            const updatedRequest = await requestStore.updateRequest(requestId, { items, lastEditedBy: interaction.user.id, approvals: [] });
+            logEvent(AUDIT_ACTIONS.EDITED, interaction.user.id, updatedRequest, {
+                details: `Included ${items.filter(item => item.included).length} of ${items.length} files`
+            });
+            const requester = await client.users.fetch(request.userId);
+            await interaction.update(createApprovalMessage(requester, updatedRequest));
+            return;
+        }
+
+        // Handle officer edit button
+        if (interaction.isButton() && interaction.customId.startsWith('officer_edit_')) {
+            const requestId = interaction.customId.replace('officer_edit_', '');
+            
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
+
+            const fileName = request.fileName;
+            const uploadPath = request.currentPath || '';
+            const description = request.description || '';
 
             const modal = new ModalBuilder()
                 .setCustomId(`edit_modal_${requestId}`)
                 .setTitle('✏️ Edit Upload Details');
 
-            const fileNameInput = new TextInputBuilder()
-                .setCustomId('filename')
-                .setLabel('File Name')
-                .setStyle(TextInputStyle.Short)
-                .setValue(fileName)
-                .setRequired(true)
-                .setMaxLength(100);
+            const fileNameInput = request.batch
+                ? createTemplateInput(request.fileNameTemplate)
+                : new TextInputBuilder()
+                    .setCustomId('filename')
+                    .setLabel('File Name')
+                    .setStyle(TextInputStyle.Short)
+                    .setValue(fileName)
+                    .setRequired(true)
+                    .setMaxLength(100);
 
             const pathInput = new TextInputBuilder()
                 .setCustomId('path')
@@ -444,42 +1724,89 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
         if (interaction.isModalSubmit() && interaction.customId.startsWith('edit_modal_')) {
             const requestId = interaction.customId.replace('edit_modal_', '');
             
-            // Extract original data from embed (stateless)
-            const embed = interaction.message.embeds[0];
-            if (!embed) {
-                await interaction.reply({ content: '❌ Could not find request information in message.', flags: MessageFlags.Ephemeral });
-                return;
-            }
+            const request = await getSubmittedRequest(interaction, requestId);
+            if (!request) return;
 
-            const getFieldValue = (fieldName) => embed.fields.find(f => f.name === fieldName)?.value;
-            const userId = getFieldValue('👤 Requested by')?.match(/<@(\d+)>/)?.[1];
-            const fileSizeStr = getFieldValue('📊 File Size');
-            const attachmentUrl = getFieldValue('🔗 Original File');
+            const description = interaction.fields.getTextInputValue('description').trim();
+            const fileNameUpdates = request.batch
+                ? await getBatchTemplateUpdates(interaction, request, interaction.fields.getTextInputValue('filename'), description)
+                : { fileName: interaction.fields.getTextInputValue('filename').trim() };
+            if (!fileNameUpdates) return;
 
-            if (!userId || !attachmentUrl) {
-                await interaction.reply({ content: '❌ Missing required information in approval request.', flags: MessageFlags.Ephemeral });
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+            // Earlier approvals were for the old details, so an edit starts the vote again
+            const currentPath = interaction.fields.getTextInputValue('path').trim();
+
+            // Matches found for the old folder may not apply to the new one; the upload checks again
+            const duplicateUpdates = currentPath === (request.currentPath || '') ? {} : {
+                duplicates: [],
+                ...(request.batch ? { items: (fileNameUpdates.items || request.items).map(({ duplicates, ...item }) => item) } : {})
+            };
+
+            const updatedRequest = await requestStore.updateRequest(requestId, {
+                ...fileNameUpdates,
+                ...duplicateUpdates,
+                currentPath,
+                description,
+                lastEditedBy: interaction.user.id,
+                approvals: [],
+                approvalsRequired: config.getApprovalsRequiredFor(currentPath, request.approvalChannelId)
+            });
+
+            logEvent(AUDIT_ACTIONS.EDITED, interaction.user.id, updatedRequest, { details: describeChanges(request, updatedRequest) });
+
+            const requester = await client.users.fetch(request.userId);
+            await interaction.message.edit(createApprovalMessage(requester, updatedRequest));
+            await interaction.editReply((request.approvals || []).length > 0
+                ? '✅ Upload details updated successfully! Earlier approvals were reset.'
+                : '✅ Upload details updated successfully!');
+            return;
+        }
+
+        // Handle a requester withdrawing a pending request from /my-uploads
+        if (interaction.isButton() && interaction.customId.startsWith('withdraw_')) {
+            const requestId = interaction.customId.replace('withdraw_', '');
+
+            const request = await requestStore.getRequest(requestId);
+            if (!request || request.userId !== interaction.user.id || request.status !== REQUEST_STATUS.SUBMITTED || approvalsInFlight.has(requestId)) {
+                await interaction.reply({ content: '❌ This request can no longer be withdrawn. An officer may already be handling it.', flags: MessageFlags.Ephemeral });
                 return;
             }
 
-            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            await interaction.deferUpdate();
 
-            const fileName = interaction.fields.getTextInputValue('filename').trim();
-            const uploadPath = interaction.fields.getTextInputValue('path').trim();
-            const description = interaction.fields.getTextInputValue('description').trim();
+            try {
+                const withdrawn = await requestStore.setStatus(requestId, REQUEST_STATUS.WITHDRAWN, { withdrawnAt: Date.now() });
+                logEvent(AUDIT_ACTIONS.WITHDRAWN, interaction.user.id, withdrawn, { outcome: 'withdrawn' });
+
+                // Officers can't act on it anymore, so the approval buttons go away
+                const approvalMessage = await fetchApprovalMessage(request);
+                if (approvalMessage) {
+                    const updatedEmbed = EmbedBuilder.from(approvalMessage.embeds[0])
+                        .setColor(0x95a5a6)
+                        .setTitle(request.batch ? '↩️ Batch Upload Request WITHDRAWN' : '↩️ Upload Request WITHDRAWN')
+                        .addFields({ name: '↩️ Withdrawn by', value: `<@${interaction.user.id}>`, inline: true });
+
+                    await approvalMessage.edit({
+                        embeds: [updatedEmbed, ...approvalMessage.embeds.slice(1)],
+                        components: []
+                    });
+                }
 
-            const updatedEmbed = EmbedBuilder.from(embed)
-                .setFields(
-                    { name: '👤 Requested by', value: `<@${userId}>`, inline: true },
-                    { name: '📁 File Name', value: fileName, inline: true },
-                    { name: '📊 File Size', value: fileSizeStr, inline: true },
-                    { name: '📂 Upload Path', value: uploadPath || '*(root folder)*', inline: true },
-                    { name: '🔗 Original File', value: attachmentUrl, inline: true },
-                    { name: '📋 Description', value: description || '*(no description)*', inline: false },
-                    { name: '✏️ Last edited by', value: `<@${interaction.user.id}>`, inline: true }
-                );
+                console.log(`↩️ Upload request ${requestId} withdrawn by ${interaction.user.tag}`);
+                await interaction.editReply(await createMyUploadsMessage(interaction.user.id));
+                await interaction.followUp({ content: `↩️ Withdrew your request for **${request.fileName}**.`, flags: MessageFlags.Ephemeral });
+            } catch (error) {
+                console.error('❌ Error withdrawing request:', error);
+                await interaction.followUp({ content: '❌ Could not withdraw this request. It may have just been processed.', flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
 
-            await interaction.message.edit({ embeds: [updatedEmbed] });
-            await interaction.editReply('✅ Upload details updated successfully!');
+        // Handle /upload-history page and export buttons
+        if (interaction.isButton() && interaction.customId.startsWith('history_')) {
+            await handleHistoryButton(interaction);
             return;
         }
 
@@ -487,8 +1814,12 @@ module.exports = (client, uploadRequests, driveService, handlers) => {
         if (interaction.isButton() && interaction.customId.startsWith('dm_cancel_')) {
             const requestId = interaction.customId.replace('dm_cancel_', '');
             
-            // Clean up the upload request from memory
-            uploadRequests.delete(requestId);
+            // Only drafts can be cancelled; submitted requests belong to the officers now
+            const request = await requestStore.getRequest(requestId);
+            if (request && request.status === REQUEST_STATUS.DRAFT) {
+                await requestStore.deleteRequest(requestId);
+                logEvent(AUDIT_ACTIONS.CANCELLED, interaction.user.id, request);
+            }
 
             // Update message to show cancellation
             const cancelledEmbed = new EmbedBuilder()
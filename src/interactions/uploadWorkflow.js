@@ -1,32 +1,244 @@
-const { EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { formatFileSize, getFieldValue, parseFileSize } = require('../utils/helpers');
+const { EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { formatFileSize, getFileNameFromUrl, getPendingFoldersOnPath, canCreateFolders } = require('../utils/helpers');
+const config = require('../utils/config');
+const { buildTemplateVariables, getThreadDetails, renderFileNameTemplate, slugify } = require('../utils/fileNameTemplate');
+
+/**
+ * Build the fields for a new upload request from an attachment in a message
+ * @param {Object} user - User starting the upload
+ * @param {Object} message - Source Discord message
+ * @param {Object} attachment - Attachment ({ url, size, contentType })
+ * @param {number} index - Zero-based attachment index within the message
+ */
+function buildUploadRequest(user, message, attachment, index = 0) {
+    const originalFileName = attachment.name || getFileNameFromUrl(attachment.url);
+
+    // Threads and forum posts use their parent upload channel's settings
+    const uploadChannelId = config.getUploadChannelFor(message.channel) || message.channel.id;
+
+    // Forum posts describe the upload with their title and tags until the requester writes their own
+    const description = describeForumPost(message.channel);
+
+    // Apply the channel's naming template, if any
+    const fileNameTemplate = config.getFileNameTemplateFor(uploadChannelId);
+    const templateVars = fileNameTemplate ? { ...buildTemplateVariables(message, originalFileName, index), slug: slugify(description) } : null;
+    const fileName = fileNameTemplate ? renderFileNameTemplate(fileNameTemplate, templateVars) : originalFileName;
+
+    // Start at the channel's mapped folder; a locked mapping keeps uploads inside that subtree
+    const folderMapping = config.getChannelFolderFor(uploadChannelId);
+
+    return {
+        userId: user.id,
+        // Webhook and bot posts have no artist to notify
+        authorId: message.author.bot ? null : message.author.id,
+        guildId: message.guildId,
+        messageId: message.id,
+        channelId: message.channel.id,
+        uploadChannelId,
+        attachmentUrl: attachment.url,
+        sourceOrigin: attachment.origin || 'attachment',
+        sourceLabel: attachment.originLabel || 'Attachment',
+        originalFileName: originalFileName,
+        fileSize: attachment.size,
+        contentType: attachment.contentType,
+        timestamp: Date.now(),
+        currentPath: folderMapping ? folderMapping.path : '',
+        lockedPath: folderMapping && folderMapping.locked ? folderMapping.path : null,
+        fileName: fileName,
+        description,
+        fileNameTemplate,
+        templateVars
+    };
+}
+
+/**
+ * Default description for uploads from a forum post ("Dragon study (wip, fanart)"), or '' elsewhere
+ */
+function describeForumPost(channel) {
+    const thread = getThreadDetails(channel);
+    if (!thread.forumPost) return '';
+    return thread.tags.length > 0 ? `${thread.title} (${thread.tags.join(', ')})` : thread.title;
+}
+
+/**
+ * Build the fields for a batch request covering several attachments of one message
+ * @param {Object} user - User starting the upload
+ * @param {Object} message - Source Discord message
+ * @param {Array} attachments - Sources from getMessageSources ({ index, url, name, size, contentType, origin })
+ */
+function buildBatchRequest(user, message, attachments) {
+    const base = buildUploadRequest(user, message, attachments[0], attachments[0].index);
+
+    const items = attachments.map(attachment => {
+        const originalFileName = attachment.name || getFileNameFromUrl(attachment.url);
+        return {
+            index: attachment.index,
+            attachmentUrl: attachment.url,
+            sourceOrigin: attachment.origin || 'attachment',
+            sourceLabel: attachment.originLabel || 'Attachment',
+            originalFileName,
+            fileName: originalFileName,
+            fileSize: attachment.size,
+            contentType: attachment.contentType,
+            templateVars: buildTemplateVariables(message, originalFileName, attachment.index),
+            included: true
+        };
+    });
+
+    return {
+        ...base,
+        batch: true,
+        items: applyBatchTemplate(items, base.fileNameTemplate, base.description),
+        originalFileName: `${items.length} files`,
+        fileName: `${items.length} files`,
+        fileSize: items.reduce((total, item) => total + (item.fileSize || 0), 0),
+        templateVars: null
+    };
+}
+
+/**
+ * Build the fields for a new draft that retries a denied request with its previous choices
+ */
+function buildResubmission(request) {
+    const fields = {
+        userId: request.userId,
+        authorId: request.authorId,
+        guildId: request.guildId,
+        messageId: request.messageId,
+        channelId: request.channelId,
+        uploadChannelId: request.uploadChannelId,
+        attachmentUrl: request.attachmentUrl,
+        sourceOrigin: request.sourceOrigin,
+        sourceLabel: request.sourceLabel,
+        originalFileName: request.originalFileName,
+        fileSize: request.fileSize,
+        contentType: request.contentType,
+        contentHash: request.contentHash,
+        timestamp: Date.now(),
+        currentPath: request.currentPath,
+        lockedPath: request.lockedPath,
+        pendingFolders: request.pendingFolders,
+        fileName: request.fileName,
+        description: request.description,
+        fileNameTemplate: request.fileNameTemplate,
+        templateVars: request.templateVars,
+        resubmittedFrom: request.requestId,
+        previousDenyReason: request.denyReason
+    };
+
+    if (request.batch) {
+        fields.batch = true;
+        fields.items = request.items.map(({ driveFileId, webViewLink, uploadedFileName, duplicates, ...item }) => item);
+    }
+
+    return fields;
+}
+
+/**
+ * Name every file in a batch with one template (original names when there is none)
+ */
+function applyBatchTemplate(items, template, description) {
+    return items.map(item => ({
+        ...item,
+        fileName: template
+            ? renderFileNameTemplate(template, { ...item.templateVars, slug: slugify(description) })
+            : item.originalFileName
+    }));
+}
+
+/**
+ * Describe the files in a batch request for the DM embed
+ */
+function describeBatchFiles(request) {
+    const lines = request.items.slice(0, 10).map((item, i) => `${i + 1}. ${item.fileName} (${formatFileSize(item.fileSize)})`);
+    if (request.items.length > 10) {
+        lines.push(`...and ${request.items.length - 10} more`);
+    }
+    return `**Files:** ${request.items.length} files (${formatFileSize(request.fileSize)})\n${lines.join('\n')}`;
+}
 
 /**
  * Send or update folder selection message for upload workflow
+ *
+ * Without an interaction the picker is sent as a DM; with one it replaces the interaction's
+ * reply (or, with options.followUp, is added as another ephemeral follow-up).
  */
-async function sendFolderSelectionMessage(user, requestId, interaction = null, uploadRequests, driveService) {
-    const request = uploadRequests.get(requestId);
+async function sendFolderSelectionMessage(user, requestId, interaction = null, requestStore, driveService, options = {}) {
+    const request = await requestStore.getRequest(requestId);
     if (!request) return;
 
-    // Get folders for current path
-    const folders = driveService.getFoldersForSelectMenu(request.currentPath);
-    
+    // Get one page of folders for the current path, or search results while searching
+    const searching = typeof request.folderSearch === 'string';
+    const { options: folders, page, totalPages } = searching
+        ? { options: driveService.searchFolders(request.folderSearch, request.lockedPath), page: 0, totalPages: 1 }
+        : driveService.getFoldersForSelectMenu(request.currentPath, request.folderPage || 0, request.pendingFolders || []);
+
+    // Folders this request will create, if the current location is one of them
+    const newFolders = getPendingFoldersOnPath(request.pendingFolders, request.currentPath);
+    const allowFolderCreation = !searching && await canCreateFolders(user.client, request.guildId, user.id);
+
     const embed = new EmbedBuilder()
         .setTitle('📤 Upload to Google Drive')
-        .setDescription(`**File:** [${request.originalFileName}](${request.attachmentUrl}) (${formatFileSize(request.fileSize)})`)
+        .setDescription(request.batch
+            ? describeBatchFiles(request)
+            : `**File:** [${request.originalFileName}](${request.attachmentUrl}) (${formatFileSize(request.fileSize)})`)
         .addFields(
-            { name: '📁 Current Location', value: request.currentPath || '*(Root)*', inline: true },
-            { name: '📝 File Name', value: request.fileName, inline: true },
+            { name: '📁 Current Location', value: (request.currentPath || '*(Root)*') + (newFolders.length > 0 ? ' 🆕' : ''), inline: true },
+            request.batch
+                ? { name: '🏷️ Name Template', value: request.fileNameTemplate ? `\`${request.fileNameTemplate}\`` : '*(original names)*', inline: true }
+                : { name: '📝 File Name', value: request.fileName, inline: true },
             { name: '📋 Description', value: request.description || '*(none)*', inline: false }
         )
-        .setFooter({ text: `cid:${request.channelId}` })
+        .setFooter({ text: `Request ID: ${requestId}` })
         .setColor(0x3498db)
         .setTimestamp();
 
+    if (request.previousDenyReason) {
+        embed.addFields({ name: '🔁 Resubmitting', value: `Previously denied: ${request.previousDenyReason}`, inline: false });
+    }
+
+    if (newFolders.length > 0) {
+        embed.addFields({ name: '🆕 New Folders', value: `${newFolders.join('\n')}\n*Created in Google Drive when the upload is approved*`, inline: false });
+    }
+
+    if (request.lockedPath) {
+        embed.addFields({ name: '🔒 Channel Folder', value: `Uploads from this channel stay inside **${request.lockedPath}**`, inline: false });
+    }
+
     const components = [];
 
-    // Folder selection dropdown (if folders exist)
-    if (folders.length > 0) {
+    if (searching) {
+        embed.addFields({
+            name: '🔎 Search Results',
+            value: folders.length > 0
+                ? `Showing ${folders.length} folder(s) matching **${request.folderSearch}**`
+                : `No folders match **${request.folderSearch}**`,
+            inline: false
+        });
+
+        if (folders.length > 0) {
+            components.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`dm_folder_search_select_${requestId}`)
+                    .setPlaceholder('🔎 Choose a folder to jump to...')
+                    .addOptions(folders)
+            ));
+        }
+
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`dm_folder_search_${requestId}`)
+                .setLabel('Search Again')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🔎'),
+            new ButtonBuilder()
+                .setCustomId(`dm_folder_search_clear_${requestId}`)
+                .setLabel('Back to Browsing')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('📁')
+        ));
+    } else if (folders.length > 0) {
+        // Folder selection dropdown (if folders exist)
         // Contextual placeholder text based on current location
         const placeholderText = request.currentPath 
             ? '📁 Choose a subfolder to navigate into...'
@@ -40,11 +252,58 @@ async function sendFolderSelectionMessage(user, requestId, interaction = null, u
         components.push(new ActionRowBuilder().addComponents(selectMenu));
     }
 
+    // Page navigation and search
+    if (!searching) {
+        const pageRow = new ActionRowBuilder();
+
+        if (totalPages > 1) {
+            pageRow.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`dm_folder_prev_${requestId}`)
+                    .setLabel('Prev')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('◀️')
+                    .setDisabled(page === 0),
+                new ButtonBuilder()
+                    .setCustomId(`dm_folder_page_${requestId}`)
+                    .setLabel(`Page ${page + 1}/${totalPages}`)
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(true),
+                new ButtonBuilder()
+                    .setCustomId(`dm_folder_next_${requestId}`)
+                    .setLabel('Next')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('▶️')
+                    .setDisabled(page >= totalPages - 1)
+            );
+        }
+
+        pageRow.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`dm_folder_search_${requestId}`)
+                .setLabel('Search Folders')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🔎')
+        );
+
+        if (allowFolderCreation) {
+            pageRow.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`dm_new_folder_${requestId}`)
+                    .setLabel('New Folder Here')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('🆕')
+            );
+        }
+
+        components.push(pageRow);
+    }
+
     // Navigation and action buttons
     const buttonRow = new ActionRowBuilder();
 
-    // Back button (if not at root)
-    if (request.currentPath) {
+    // Back button (if not at root, or at the top of a locked channel folder)
+    if (request.currentPath && request.currentPath !== request.lockedPath) {
         buttonRow.addComponents(
             new ButtonBuilder()
                 .setCustomId(`dm_folder_back_${requestId}`)
@@ -83,65 +342,34 @@ async function sendFolderSelectionMessage(user, requestId, interaction = null, u
 
     components.push(buttonRow);
 
-    // Add folder status info
-    if (folders.length === 0 && !request.currentPath) {
+    // Add folder status info (search results already explain themselves)
+    if (!searching && folders.length === 0 && !request.currentPath) {
         embed.addFields({ name: '⚠️ No Folders', value: 'No subfolders found. You can upload to the root location.', inline: false });
-    } else if (folders.length === 0) {
+    } else if (!searching && folders.length === 0) {
         embed.addFields({ name: '📁 End of Path', value: 'No subfolders here. Choose "Upload Here" to upload to this location.', inline: false });
     }
 
     const messageData = { embeds: [embed], components };
 
     // Send or edit message
-    if (interaction) {
+    if (interaction && options.followUp) {
+        await interaction.followUp({ ...messageData, flags: MessageFlags.Ephemeral });
+    } else if (interaction) {
         await interaction.editReply(messageData);
     } else {
-        await user.send(messageData);
+        const message = await user.send(messageData);
+        // Remember where the DM lives so later steps can edit or clean it up
+        await requestStore.updateRequest(requestId, {
+            dmChannelId: message.channelId,
+            dmMessageId: message.id
+        });
     }
 }
 
-/**
- * Extract upload request data from DM embed (stateless recovery)
- */
-function extractRequestFromDMEmbed(embed, interaction) {
-    if (!embed || embed.title !== '📤 Upload to Google Drive') return null;
-    
-    // Extract data from visible fields
-    const currentPath = getFieldValue(embed, '📁 Current Location')?.replace('*(Root)*', '') || '';
-    const fileName = getFieldValue(embed, '📝 File Name');
-    const description = getFieldValue(embed, '📋 Description')?.replace('*(none)*', '') || '';
-    
-    // Parse original filename, URL, and file size from description
-    // Format: "**File:** [filename.ext](url) (X.X MB)"
-    const descMatch = embed.description?.match(/\*\*File:\*\* \[(.+?)\]\((.+?)\) \((.+?)\)/);
-    if (!descMatch) return null;
-    
-    const originalFileName = descMatch[1];
-    const attachmentUrl = descMatch[2];
-    const fileSize = parseFileSize(descMatch[3]);
-    
-    if (!attachmentUrl || !originalFileName) return null;
-    
-    // Channel ID from footer
-    let channelId = null;
-    if (embed.footer && embed.footer.text && embed.footer.text.startsWith('cid:')) {
-        channelId = embed.footer.text.replace('cid:', '');
-    }
-
-    return {
-        attachmentUrl,
-        fileSize,
-        userId: interaction.user.id,
-        originalFileName,
-        fileName,
-        description,
-        currentPath,
-        channelId,
-        requestId: null // Will be set by caller
-    };
-}
-
 module.exports = {
-    sendFolderSelectionMessage,
-    extractRequestFromDMEmbed
+    buildUploadRequest,
+    buildBatchRequest,
+    buildResubmission,
+    applyBatchTemplate,
+    sendFolderSelectionMessage
 }; 
\ No newline at end of file
@@ -0,0 +1,148 @@
+const { EmbedBuilder } = require('discord.js');
+const config = require('../utils/config');
+const requestStore = require('../utils/requestStore');
+const { safeDM } = require('../utils/helpers');
+const { logEvent, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { isAwaitingArtist } = require('../interactions/approval');
+
+const { REQUEST_STATUS } = requestStore;
+
+// How often stale requests are checked for
+const EXPIRY_CHECK_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Find drafts nobody touched and submitted requests no officer answered within the configured time
+ */
+async function findExpiredRequests(now = Date.now()) {
+    const draftHours = config.get('draftExpiryHours');
+    const approvalHours = config.get('approvalExpiryHours');
+
+    return await requestStore.findRequests(request => {
+        if (request.status === REQUEST_STATUS.DRAFT) {
+            // Every step in the DM picker saves the draft, so updatedAt is the last activity
+            return Boolean(draftHours) && now - request.updatedAt >= draftHours * HOUR;
+        }
+        if (request.status === REQUEST_STATUS.SUBMITTED) {
+            // Auto-approved requests are uploading, not waiting on anyone, unless the artist hasn't allowed them yet
+            return Boolean(approvalHours) && (!request.autoApproval || isAwaitingArtist(request))
+                && now - (request.submittedAt || request.createdAt) >= approvalHours * HOUR;
+        }
+        return false;
+    });
+}
+
+function formatHours(hours) {
+    return hours >= 48 && hours % 24 === 0 ? `${hours / 24} days` : `${hours} hours`;
+}
+
+/**
+ * Mark a bot message as expired and remove its buttons (extra embeds such as galleries are kept)
+ */
+async function markMessageExpired(client, channelId, messageId, title, note) {
+    if (!channelId || !messageId) return;
+    try {
+        const channel = await client.channels.fetch(channelId);
+        const message = await channel.messages.fetch(messageId);
+        if (message.embeds.length === 0) {
+            await message.edit({ components: [] });
+            return;
+        }
+
+        const expiredEmbed = EmbedBuilder.from(message.embeds[0])
+            .setTitle(title)
+            .setColor(0x95a5a6)
+            .addFields({ name: '⌛ Expired', value: note, inline: false });
+
+        await message.edit({ embeds: [expiredEmbed, ...message.embeds.slice(1)], components: [] });
+    } catch (error) {
+        console.error(`⚠️ Could not mark message ${messageId} as expired:`, error.message);
+    }
+}
+
+/**
+ * Expire one request: disable its messages, tell the requester and remove it from the store
+ */
+async function expireRequest(client, request) {
+    const isDraft = request.status === REQUEST_STATUS.DRAFT;
+    const hours = isDraft ? config.get('draftExpiryHours') : config.get('approvalExpiryHours');
+    let note = `No officer decision within ${formatHours(hours)}`;
+    if (isDraft) {
+        note = `Not submitted within ${formatHours(hours)}`;
+    } else if (request.artistConsent === 'pending') {
+        note = `The artist didn't allow the upload within ${formatHours(hours)}`;
+    }
+
+    await markMessageExpired(client, request.dmChannelId, request.dmMessageId, '⌛ Upload Request Expired', note);
+    if (!isDraft) {
+        await markMessageExpired(client, request.approvalChannelId, request.approvalMessageId,
+            request.batch ? '⌛ Batch Upload Request EXPIRED' : '⌛ Upload Request EXPIRED', note);
+    }
+
+    try {
+        const requester = await client.users.fetch(request.userId);
+        await safeDM(requester, isDraft
+            ? `⌛ Your upload request for **${request.fileName}** expired because it wasn't submitted within ${formatHours(hours)}. React to the message again to start over.`
+            : `⌛ Your upload request for **${request.fileName}** expired after waiting ${formatHours(hours)} for an officer. React to the message again if you'd still like it uploaded.`);
+    } catch (error) {
+        console.error(`⚠️ Could not notify requester about expired request ${request.requestId}:`, error.message);
+    }
+
+    logEvent(AUDIT_ACTIONS.EXPIRED, client.user.id, request, { outcome: 'expired', details: note });
+    await requestStore.deleteRequest(request.requestId);
+    console.log(`⌛ Expired ${isDraft ? 'draft' : 'submitted'} upload request ${request.requestId}`);
+}
+
+/**
+ * Expire every request past its time limit
+ */
+async function expireStaleRequests(client) {
+    const expired = await findExpiredRequests();
+    for (const request of expired) {
+        // Skip requests that moved on (submitted, approved...) since the scan
+        const current = await requestStore.getRequest(request.requestId);
+        if (!current || current.status !== request.status) continue;
+
+        await expireRequest(client, current);
+    }
+}
+
+/**
+ * Drop approved, denied, skipped and withdrawn requests older than the history retention (failed ones wait for a retry)
+ */
+async function pruneRequestHistory(now = Date.now()) {
+    const days = config.get('historyRetentionDays');
+    if (!days) return;
+
+    const removed = await requestStore.pruneFinishedRequests(now - days * DAY);
+    if (removed > 0) {
+        console.log(`🧹 Removed ${removed} finished upload request(s) older than ${formatHours(days * 24)}`);
+    }
+}
+
+/**
+ * Check for stale requests and old history periodically
+ */
+function startExpiryScheduler(client) {
+    return setInterval(async () => {
+        try {
+            await expireStaleRequests(client);
+        } catch (error) {
+            console.error('⚠️ Failed to expire stale upload requests:', error.message);
+        }
+        try {
+            await pruneRequestHistory();
+        } catch (error) {
+            console.error('⚠️ Failed to prune finished upload requests:', error.message);
+        }
+    }, EXPIRY_CHECK_INTERVAL);
+}
+
+module.exports = {
+    expireStaleRequests,
+    pruneRequestHistory,
+    startExpiryScheduler,
+    EXPIRY_CHECK_INTERVAL
+};
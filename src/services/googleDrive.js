@@ -1,7 +1,31 @@
 const { google } = require('googleapis');
 const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../utils/config');
 const credentials = require('../utils/credentials');
+const { ResumableUpload } = require('./resumableUpload');
+const { withRetry, isRetryableError, getRetryDelay, sleep, describeError } = require('../utils/retry');
+const { assertPublicUrl, blockPrivateRedirects, PUBLIC_AGENTS, checkRemoteFile, limitStream } = require('../utils/messageSources');
+
+// Discord allows at most 25 options in a select menu
+const SELECT_MENU_PAGE_SIZE = 25;
+
+/**
+ * Escape a value for use inside a single-quoted Drive query string
+ */
+function escapeQueryValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Extra files.list parameters so queries see the root folder's Shared Drive (scoped to it when set)
+ */
+function getListScope() {
+    const driveId = config.get('rootDriveId');
+    return driveId
+        ? { supportsAllDrives: true, includeItemsFromAllDrives: true, corpora: 'drive', driveId }
+        : { supportsAllDrives: true, includeItemsFromAllDrives: true };
+}
 
 class GoogleDriveService {
     constructor() {
@@ -39,103 +63,113 @@ class GoogleDriveService {
     }
 
     /**
-     * Upload a file to Google Drive
-     * @param {Buffer} fileBuffer - File content as buffer
+     * Upload a file to Google Drive through a resumable upload session
+     * @param {AsyncIterable<Buffer>} source - File content, streamed chunk by chunk
      * @param {string} fileName - Name for the file
      * @param {string} mimeType - MIME type of the file
      * @param {string} folderId - Google Drive folder ID (optional)
      * @param {Object} metadata - Additional metadata for the file
-     * @returns {Promise<Object>} - Upload result with file details
+     * @param {Object} options - Transfer options ({ size, onProgress, fileId, beforeComplete })
+     *   Passing fileId uploads the content as a new revision of that existing file;
+     *   beforeComplete can cancel the upload once the content is read (see ResumableUpload)
+     * @returns {Promise<Object>} - Upload result with file details ({ success: false, cancelled: true } if cancelled)
+     * @throws The Drive or network error as-is, so callers can check its status and retry or report it
      */
-    async uploadFile(fileBuffer, fileName, mimeType, folderId = null, metadata = {}) {
+    async uploadFile(source, fileName, mimeType, folderId = null, metadata = {}, options = {}) {
         try {
             const fileMetadata = {
-                name: fileName,
-                parents: folderId ? [folderId] : undefined,
                 description: metadata.description || 'Uploaded via Discord Art Bot'
             };
 
-            const media = {
-                mimeType: mimeType,
-                body: require('stream').Readable.from(fileBuffer)
-            };
-
-            console.log(`📤 Uploading ${fileName} to Google Drive...`);
-            
-            const response = await this.drive.files.create({
-                resource: fileMetadata,
-                media: media,
-                fields: 'id, name, webViewLink, size'
-            });
+            // A new revision keeps the existing file's name and location
+            if (!options.fileId) {
+                fileMetadata.name = fileName;
+                fileMetadata.parents = folderId ? [folderId] : undefined;
+            }
 
-            // Add custom properties for tracking
+            // Custom properties for tracking
             if (metadata.uploader || metadata.approver) {
-                await this.drive.files.update({
-                    fileId: response.data.id,
-                    resource: {
-                        properties: {
-                            uploader: metadata.uploader || 'Unknown',
-                            approver: metadata.approver || 'Unknown',
-                            uploadDate: new Date().toISOString(),
-                            uploadedVia: 'Discord Art Bot'
-                        }
-                    }
-                });
+                fileMetadata.properties = {
+                    uploader: metadata.uploader || 'Unknown',
+                    approver: metadata.approver || 'Unknown',
+                    uploadDate: new Date().toISOString(),
+                    uploadedVia: 'Discord Art Bot'
+                };
+            }
+
+            console.log(options.fileId
+                ? `📤 Uploading ${fileName} as a new version of ${options.fileId}...`
+                : `📤 Uploading ${fileName} to Google Drive...`);
+
+            const session = new ResumableUpload(this.oauth2Client, {
+                metadata: fileMetadata,
+                mimeType,
+                size: options.size,
+                fileId: options.fileId,
+                onProgress: options.onProgress,
+                beforeComplete: options.beforeComplete
+            });
+            const file = await session.upload(source);
+            if (!file) {
+                console.log(`⏹️ Upload of ${fileName} cancelled before completion`);
+                return { success: false, cancelled: true };
             }
 
-            console.log(`✅ Successfully uploaded ${fileName} (ID: ${response.data.id})`);
+            console.log(`✅ Successfully uploaded ${fileName} (ID: ${file.id})`);
             return {
                 success: true,
-                fileId: response.data.id,
-                fileName: response.data.name,
-                webViewLink: response.data.webViewLink,
-                size: response.data.size
+                fileId: file.id,
+                fileName: file.name,
+                webViewLink: file.webViewLink,
+                size: file.size
             };
         } catch (error) {
-            console.error('❌ Google Drive upload error:', error.message);
-            return {
-                success: false,
-                error: error.message
-            };
+            console.error('❌ Google Drive upload error:', describeError(error));
+            throw error;
         }
     }
 
     /**
-     * Download file from URL (Discord attachment)
-     * @param {string} url - Discord attachment URL
-     * @returns {Promise<Object>} - File buffer and metadata
+     * Open a streaming download from URL (Discord attachment)
+     *
+     * The returned stream is an async iterable of Buffers. If the connection drops
+     * mid-transfer, it reconnects with a Range request and continues from the last
+     * byte received, so the file never has to be held in memory.
+     *
+     * Links and embeds from outside Discord are downloaded with limits: the URL must be
+     * public, the response an image or video, and the body no larger than limits.maxSize.
+     * @param {string} url - Discord attachment URL, or a link/embed URL when limits are given
+     * @param {Object} [limits] - { maxSize } from getDownloadLimits
+     * @returns {Promise<Object>} - Stream and file metadata
      */
-    async downloadFile(url) {
+    async downloadFile(url, limits = null) {
         try {
-            console.log('📥 Downloading file from Discord...');
-            const response = await axios.get(url, {
-                responseType: 'arraybuffer',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'Accept': '*/*',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'Referer': 'https://discord.com/',
-                    'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-                    'Sec-Ch-Ua-Mobile': '?0',
-                    'Sec-Ch-Ua-Platform': '"Windows"',
-                    'Sec-Fetch-Dest': 'empty',
-                    'Sec-Fetch-Mode': 'cors',
-                    'Sec-Fetch-Site': 'cross-site'
-                },
-                timeout: 30000 // 30 second timeout
-            });
+            console.log(`📥 Opening download stream from ${limits ? new URL(url).hostname : 'Discord'}...`);
+            if (limits) await assertPublicUrl(url);
+            const response = await this.requestDownload(url, 0, limits);
 
-            const buffer = Buffer.from(response.data);
             const contentType = response.headers['content-type'] || 'application/octet-stream';
-            
-            console.log(`✅ Downloaded file (${buffer.length} bytes, ${contentType})`);
-            
+            const contentLength = parseInt(response.headers['content-length'], 10);
+            const size = Number.isFinite(contentLength) ? contentLength : null;
+
+            if (limits) {
+                const problem = checkRemoteFile(contentType.split(';')[0].trim().toLowerCase(), size, limits.maxSize);
+                if (problem) {
+                    response.data.destroy();
+                    throw new Error(`Refusing to download: ${problem}`);
+                }
+            }
+
+            console.log(`✅ Download started (${size !== null ? `${size} bytes` : 'unknown size'}, ${contentType})`);
+
+            const stream = this.resumableDownload(url, response, size, limits);
             return {
                 success: true,
-                buffer: buffer,
+                stream: limits ? limitStream(stream, limits.maxSize) : stream,
                 mimeType: contentType,
-                size: buffer.length
+                size,
+                // Release the connection if the upload fails before the stream is consumed
+                cancel: () => response.data.destroy()
             };
         } catch (error) {
             console.error('❌ File download error:', error.message);
@@ -147,53 +181,261 @@ class GoogleDriveService {
     }
 
     /**
-     * Upload file from URL to Google Drive (combines download and upload)
+     * Request a file as a stream, starting at the given byte offset
+     */
+    async requestDownload(url, offset, limits = null) {
+        const headers = {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': '*/*',
+            'Accept-Language': 'en-US,en;q=0.9',
+            // Compressed responses would make byte offsets meaningless for resuming
+            'Accept-Encoding': 'identity',
+            'Referer': 'https://discord.com/',
+            'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+            'Sec-Ch-Ua-Mobile': '?0',
+            'Sec-Ch-Ua-Platform': '"Windows"',
+            'Sec-Fetch-Dest': 'empty',
+            'Sec-Fetch-Mode': 'cors',
+            'Sec-Fetch-Site': 'cross-site'
+        };
+        if (offset > 0) {
+            headers['Range'] = `bytes=${offset}-`;
+        }
+
+        return await withRetry(() => axios.get(url, {
+            responseType: 'stream',
+            decompress: false,
+            headers,
+            timeout: 30000, // 30 second timeout until the response starts
+            ...(limits ? { maxRedirects: 5, beforeRedirect: blockPrivateRedirects, ...PUBLIC_AGENTS } : {})
+        }), { label: limits ? 'Remote file download' : 'Discord CDN download' });
+    }
+
+    /**
+     * Yield downloaded chunks, reconnecting from the current offset after a drop
+     */
+    async *resumableDownload(url, response, size, limits = null) {
+        let received = 0;
+        let attempts = 0;
+
+        while (true) {
+            try {
+                // A server that ignores Range restarts from byte 0, so skip what we already have
+                let skip = received > 0 && response.status !== 206 ? received : 0;
+
+                for await (const chunk of response.data) {
+                    let data = chunk;
+                    if (skip > 0) {
+                        const dropped = Math.min(skip, data.length);
+                        data = data.subarray(dropped);
+                        skip -= dropped;
+                        if (data.length === 0) continue;
+                    }
+                    received += data.length;
+                    yield data;
+                }
+
+                if (size === null || received >= size) return;
+                throw new Error(`Download ended early (${received}/${size} bytes)`);
+            } catch (error) {
+                if (!isRetryableError(error) || attempts >= 5) throw error;
+                const delay = getRetryDelay(attempts++, error);
+                console.log(`⚠️ Download interrupted at ${received} bytes (${error.message}), resuming in ${delay}ms...`);
+                await sleep(delay);
+                response = await this.requestDownload(url, received, limits);
+            }
+        }
+    }
+
+    /**
+     * Pass chunks through while feeding them into a hash
+     */
+    async *hashingStream(source, hash) {
+        for await (const chunk of source) {
+            hash.update(chunk);
+            yield chunk;
+        }
+    }
+
+    /**
+     * Find files in a folder whose content matches an MD5 checksum
+     * @param {string} md5 - Hex MD5 digest
+     * @param {string} folderPath - Folder path to search (not created if missing)
+     * @returns {Promise<Array>} - Matching files ({ fileId, fileName, path, webViewLink })
+     */
+    async findFilesByChecksum(md5, folderPath = '') {
+        const folderId = this.findCachedFolderIdByPath(folderPath);
+        if (!folderId) return [];
+
+        const matches = [];
+        let pageToken = null;
+        do {
+            const response = await withRetry(() => this.drive.files.list({
+                q: `'${folderId}' in parents and mimeType!='application/vnd.google-apps.folder' and trashed=false`,
+                fields: 'nextPageToken, files(id, name, md5Checksum, webViewLink)',
+                pageSize: 1000,
+                pageToken: pageToken,
+                ...getListScope()
+            }), { label: 'Drive file list' });
+
+            (response.data.files || [])
+                .filter(file => file.md5Checksum === md5)
+                .forEach(file => matches.push({
+                    fileId: file.id,
+                    fileName: file.name,
+                    path: folderPath ? `${folderPath}/${file.name}` : file.name,
+                    webViewLink: file.webViewLink
+                }));
+
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return matches;
+    }
+
+    /**
+     * Upload file from URL to Google Drive (streams the download into the upload)
      * @param {string} url - URL to download file from (Discord attachment)
      * @param {string} fileName - Name for the file in Google Drive
      * @param {string} folderPath - Path where to upload (e.g., "projects/game-art")
      * @param {string} description - File description
      * @param {Object} metadata - Additional metadata
-     * @returns {Promise<Object>} - Upload result
+     * @param {Object} options - Transfer options ({ onProgress, replaceFileId, collisionPolicy, downloadLimits, findDuplicates })
+     *   findDuplicates(contentHash) is awaited once the whole file has streamed through; if it returns
+     *   any files, the upload is cancelled before it creates a file in Drive (folderPath is created first either way)
+     * @returns {Promise<Object>} - Upload result, including the content's MD5 as contentHash
+     *   ({ success: false, duplicate: true, contentHash, duplicates } when findDuplicates found copies)
      */
-    async uploadFromUrl(url, fileName, folderPath = '', description = '', metadata = {}) {
+    async uploadFromUrl(url, fileName, folderPath = '', description = '', metadata = {}, options = {}) {
         try {
-            // Download file from URL
-            const downloadResult = await this.downloadFile(url);
+            // Get folder ID for the specified path
+            const folderId = await this.getFolderIdByPath(folderPath);
+
+            // Apply the name collision policy unless we're explicitly replacing a file
+            let replaceFileId = options.replaceFileId || null;
+            if (!replaceFileId && options.collisionPolicy) {
+                const resolved = await this.resolveNameCollision(fileName, folderId, options.collisionPolicy, folderPath);
+                fileName = resolved.fileName;
+                replaceFileId = resolved.replaceFileId;
+            }
+
+            // Open download stream from URL
+            const downloadResult = await this.downloadFile(url, options.downloadLimits || null);
             if (!downloadResult.success) {
                 throw new Error(`Failed to download file: ${downloadResult.error}`);
             }
 
-            // Get folder ID for the specified path
-            const folderId = await this.getFolderIdByPath(folderPath);
-
             // Prepare metadata
             const fileMetadata = {
                 description: description,
                 ...metadata
             };
 
-            // Upload to Google Drive
-            const uploadResult = await this.uploadFile(
-                downloadResult.buffer,
-                fileName,
-                downloadResult.mimeType,
-                folderId,
-                fileMetadata
-            );
-
-            if (!uploadResult.success) {
-                throw new Error(`Failed to upload file: ${uploadResult.error}`);
+            // Pipe the download straight into Google Drive, hashing it on the way through
+            const hash = crypto.createHash('md5');
+            let duplicates = [];
+            const beforeComplete = options.findDuplicates
+                ? async () => {
+                    duplicates = await options.findDuplicates(hash.copy().digest('hex'));
+                    return duplicates.length === 0;
+                }
+                : null;
+
+            let uploadResult;
+            try {
+                uploadResult = await this.uploadFile(
+                    this.hashingStream(downloadResult.stream, hash),
+                    fileName,
+                    downloadResult.mimeType,
+                    folderId,
+                    fileMetadata,
+                    { size: downloadResult.size, onProgress: options.onProgress, fileId: replaceFileId, beforeComplete }
+                );
+            } catch (error) {
+                downloadResult.cancel();
+                throw error;
+            }
+
+            if (uploadResult.cancelled) {
+                downloadResult.cancel();
+                console.log(`⚠️ ${fileName} matches ${duplicates.length} file(s) already in Drive, not uploaded`);
+                return { success: false, duplicate: true, contentHash: hash.digest('hex'), duplicates };
             }
 
+            uploadResult.contentHash = hash.digest('hex');
+            uploadResult.replacedFileId = replaceFileId;
+
             console.log(`✅ Successfully uploaded ${fileName} from URL to folder: ${folderPath || '(root)'}`);
             return uploadResult;
 
         } catch (error) {
-            console.error('❌ uploadFromUrl error:', error.message);
+            console.error('❌ uploadFromUrl error:', describeError(error));
             throw error;
         }
     }
 
+    /**
+     * List non-folder files in a folder whose name matches a query clause
+     */
+    async listFilesInFolder(folderId, nameClause) {
+        const files = [];
+        let pageToken = null;
+        do {
+            const response = await withRetry(() => this.drive.files.list({
+                q: `${nameClause} and '${folderId}' in parents and mimeType!='application/vnd.google-apps.folder' and trashed=false`,
+                fields: 'nextPageToken, files(id, name)',
+                pageSize: 1000,
+                pageToken: pageToken,
+                ...getListScope()
+            }), { label: 'Drive file list' });
+            files.push(...(response.data.files || []));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        return files;
+    }
+
+    /**
+     * Decide the final file name (or file to overwrite) when the name is already taken
+     * @param {string} fileName - Requested file name
+     * @param {string} folderId - Target folder ID
+     * @param {string} policy - One of suffix, timestamp, overwrite, reject
+     * @param {string} folderPath - Target folder path (for error messages)
+     * @returns {Promise<Object>} - { fileName, replaceFileId }
+     */
+    async resolveNameCollision(fileName, folderId, policy, folderPath = '') {
+        const existing = await this.listFilesInFolder(folderId, `name='${escapeQueryValue(fileName)}'`);
+        if (existing.length === 0) {
+            return { fileName, replaceFileId: null };
+        }
+
+        const dot = fileName.lastIndexOf('.');
+        const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+        const ext = dot > 0 ? fileName.slice(dot) : '';
+
+        switch (policy) {
+            case 'overwrite':
+                console.log(`🔁 ${fileName} exists, uploading as a new revision of ${existing[0].id}`);
+                return { fileName, replaceFileId: existing[0].id };
+
+            case 'reject':
+                throw new Error(`A file named "${fileName}" already exists in ${folderPath || 'the root folder'}`);
+
+            case 'timestamp': {
+                const stamp = new Date().toISOString().replace(/\.\d+Z$/, '').replace('T', '_').replace(/:/g, '-');
+                return { fileName: `${base}_${stamp}${ext}`, replaceFileId: null };
+            }
+
+            case 'suffix':
+            default: {
+                const similar = await this.listFilesInFolder(folderId, `name contains '${escapeQueryValue(base)}'`);
+                const taken = new Set(similar.map(file => file.name));
+                let n = 2;
+                while (taken.has(`${base} (${n})${ext}`)) n++;
+                return { fileName: `${base} (${n})${ext}`, replaceFileId: null };
+            }
+        }
+    }
+
     /**
      * Get folder ID by path (creates folders if they don't exist)
      * @param {string} folderPath - Path like "projects/game-art/characters"
@@ -214,23 +456,25 @@ class GoogleDriveService {
         for (const folderName of pathParts) {
             try {
                 // Search for existing folder
-                const searchResponse = await this.drive.files.list({
-                    q: `name='${folderName}' and '${currentParentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-                    fields: 'files(id, name)'
-                });
+                const searchResponse = await withRetry(() => this.drive.files.list({
+                    q: `name='${escapeQueryValue(folderName)}' and '${currentParentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+                    fields: 'files(id, name)',
+                    ...getListScope()
+                }), { label: 'Drive file list' });
 
                 if (searchResponse.data.files.length > 0) {
                     currentParentId = searchResponse.data.files[0].id;
                 } else {
                     // Create folder if it doesn't exist
-                    const createResponse = await this.drive.files.create({
+                    const createResponse = await withRetry(() => this.drive.files.create({
                         resource: {
                             name: folderName,
                             mimeType: 'application/vnd.google-apps.folder',
                             parents: [currentParentId]
                         },
-                        fields: 'id'
-                    });
+                        fields: 'id',
+                        supportsAllDrives: true
+                    }), { label: 'Drive folder create' });
                     currentParentId = createResponse.data.id;
                     console.log(`📁 Created folder: ${folderName} (ID: ${currentParentId})`);
                 }
@@ -310,12 +554,13 @@ class GoogleDriveService {
                 const query = `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
                 
                 try {
-                    const response = await this.drive.files.list({
+                    const response = await withRetry(() => this.drive.files.list({
                         q: query,
                         fields: 'nextPageToken, files(id, name, parents)',
                         pageSize: 1000,
-                        pageToken: pageToken
-                    });
+                        pageToken: pageToken,
+                        ...getListScope()
+                    }), { label: 'Drive file list' });
 
                     const childFolders = response.data.files || [];
                     folders.push(...childFolders);
@@ -434,11 +679,13 @@ class GoogleDriveService {
     }
 
     /**
-     * Get folders for Discord select menu (max 25 options)
+     * Get one page of folders for Discord select menu (max 25 options per page)
      * @param {string} parentPath - Parent folder path (empty for root)
-     * @returns {Array} - Array of folder options for Discord select menu
+     * @param {number} page - Zero-based page number (clamped to the available pages)
+     * @param {Array<string>} pendingPaths - Folders not yet created in Drive, listed alongside real ones
+     * @returns {Object} - { options, page, totalPages, total }
      */
-    getFoldersForSelectMenu(parentPath = '') {
+    getFoldersForSelectMenu(parentPath = '', page = 0, pendingPaths = []) {
         const folders = [];
         let currentLevel = this.folderCache.tree;
 
@@ -449,7 +696,8 @@ class GoogleDriveService {
                 if (currentLevel[part] && currentLevel[part].children) {
                     currentLevel = currentLevel[part].children;
                 } else {
-                    return []; // Path not found
+                    currentLevel = {}; // Path not found (or only exists as a pending folder)
+                    break;
                 }
             }
         }
@@ -467,10 +715,75 @@ class GoogleDriveService {
             });
         });
 
-        // Sort folders alphabetically and limit to 25 (Discord limit)
-        return folders
-            .sort((a, b) => a.label.localeCompare(b.label))
-            .slice(0, 25);
+        // Add pending folders that live directly inside this path
+        for (const pendingPath of pendingPaths) {
+            const slash = pendingPath.lastIndexOf('/');
+            const parent = slash === -1 ? '' : pendingPath.slice(0, slash);
+            const folderName = pendingPath.slice(slash + 1);
+            if (parent !== parentPath || currentLevel[folderName]) continue;
+
+            folders.push({
+                label: folderName,
+                value: pendingPath,
+                description: 'New folder (created when the upload is approved)',
+                emoji: '🆕'
+            });
+        }
+
+        // Sort folders alphabetically and page them 25 at a time (Discord limit)
+        folders.sort((a, b) => a.label.localeCompare(b.label));
+
+        const totalPages = Math.max(1, Math.ceil(folders.length / SELECT_MENU_PAGE_SIZE));
+        const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+        const start = currentPage * SELECT_MENU_PAGE_SIZE;
+
+        return {
+            options: folders.slice(start, start + SELECT_MENU_PAGE_SIZE),
+            page: currentPage,
+            totalPages,
+            total: folders.length
+        };
+    }
+
+    /**
+     * Search cached folder paths (e.g. "dragon sketch" matches "Art/Dragons/Sketches")
+     * @param {string} query - Search text; every word must appear in the path
+     * @param {string} withinPath - Only return folders inside this path (optional)
+     * @returns {Array} - Up to 25 select menu options, valued by folder ID
+     */
+    searchFolders(query, withinPath = null) {
+        const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const results = [];
+        for (const [id, folder] of this.folderCache.flat) {
+            const path = folder.path.toLowerCase();
+            if (!terms.every(term => path.includes(term))) continue;
+            if (withinPath && folder.path !== withinPath && !folder.path.startsWith(`${withinPath}/`)) continue;
+
+            // Prefer folders whose own name matches, then shallower paths
+            const name = folder.name.toLowerCase();
+            const score = (terms.every(term => name.includes(term)) ? 0 : 1) * 1000 + folder.path.split('/').length;
+            results.push({ id, folder, score });
+        }
+
+        return results
+            .sort((a, b) => a.score - b.score || a.folder.path.localeCompare(b.folder.path))
+            .slice(0, SELECT_MENU_PAGE_SIZE)
+            .map(({ id, folder }) => ({
+                label: folder.name.length > 100 ? folder.name.substring(0, 97) + '...' : folder.name,
+                value: id,
+                description: folder.path.length > 100 ? '...' + folder.path.slice(-97) : folder.path,
+                emoji: '🔎'
+            }));
+    }
+
+    /**
+     * Get a cached folder's path by ID (null if unknown)
+     */
+    getCachedFolderPath(folderId) {
+        const folder = this.folderCache.flat.get(folderId);
+        return folder ? folder.path : null;
     }
 
     /**
@@ -498,6 +811,24 @@ class GoogleDriveService {
         return this.getFolderIdByPath(folderPath);
     }
 
+    /**
+     * Look up a folder ID by path using only the cache (never creates folders)
+     * @param {string} folderPath - Path like "projects/game-art/characters"
+     * @returns {string|null} - Folder ID, or null if the path isn't cached
+     */
+    findCachedFolderIdByPath(folderPath) {
+        if (!folderPath || folderPath === '/') {
+            return config.get('rootFolderId') || null;
+        }
+
+        for (const [id, folder] of this.folderCache.flat) {
+            if (folder.path === folderPath) {
+                return id;
+            }
+        }
+        return null;
+    }
+
     /**
      * Set the root folder for the bot
      */
@@ -508,21 +839,36 @@ class GoogleDriveService {
 
     /**
      * Get folder information by ID
+     * @returns {Promise<Object|null>} - { id, name, driveId, driveName } (driveId is null in My Drive)
      */
     async getFolderInfo(folderId) {
         try {
-            const response = await this.drive.files.get({
+            const response = await withRetry(() => this.drive.files.get({
                 fileId: folderId,
-                fields: 'id, name, mimeType'
-            });
+                fields: 'id, name, mimeType, driveId',
+                supportsAllDrives: true
+            }), { label: 'Drive file get' });
 
             if (response.data.mimeType !== 'application/vnd.google-apps.folder') {
                 return null; // Not a folder
             }
 
+            const driveId = response.data.driveId || null;
+            let driveName = null;
+            if (driveId) {
+                const driveResponse = await withRetry(() => this.drive.drives.get({
+                    driveId,
+                    fields: 'id, name'
+                }), { label: 'Drive shared drive get' });
+                driveName = driveResponse.data.name;
+            }
+
             return {
                 id: response.data.id,
-                name: response.data.name
+                // A Shared Drive's top level is named "Drive" by the API
+                name: response.data.id === driveId ? driveName : response.data.name,
+                driveId,
+                driveName
             };
         } catch (error) {
             console.error('❌ Error getting folder info:', error);
@@ -0,0 +1,152 @@
+const config = require('../utils/config');
+const requestStore = require('../utils/requestStore');
+const { getApprovalMessageLink } = require('../utils/helpers');
+
+const { REQUEST_STATUS, OPEN_STATUSES } = requestStore;
+
+// How often overdue requests are checked for
+const REMINDER_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Find requests waiting on officers, oldest first
+ */
+async function findOpenRequests() {
+    const requests = await requestStore.findRequests(request => OPEN_STATUSES.includes(request.status));
+    return requests.sort((a, b) => getSubmittedAt(a) - getSubmittedAt(b));
+}
+
+function getSubmittedAt(request) {
+    return request.submittedAt || request.createdAt;
+}
+
+/**
+ * Format an open request as one line with a jump link to its approval message
+ */
+function formatPendingRequest(request) {
+    const link = getApprovalMessageLink(request);
+    const name = link ? `[${request.fileName}](${link})` : request.fileName;
+    const parts = [`<t:${Math.floor(getSubmittedAt(request) / 1000)}:R>`, name, `by <@${request.userId}>`];
+
+    if (request.approvalChannelId) parts.push(`in <#${request.approvalChannelId}>`);
+    if (request.status === REQUEST_STATUS.FAILED) {
+        parts.push('(⚠️ upload failed, retry needed)');
+    } else if (request.approvalsRequired > 1) {
+        parts.push(`(${(request.approvals || []).length}/${request.approvalsRequired} approvals)`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Find open requests older than the reminder threshold that haven't been reminded about recently
+ */
+async function findOverdueRequests(now = Date.now()) {
+    const hours = config.get('reminderHours');
+    if (!hours) return [];
+
+    const threshold = hours * 60 * 60 * 1000;
+    const requests = await findOpenRequests();
+    // Requests waiting on the artist's consent aren't the officers' to act on yet
+    return requests.filter(request => request.approvalChannelId
+        && request.artistConsent !== 'pending'
+        && now - getSubmittedAt(request) >= threshold
+        && (!request.lastRemindedAt || now - request.lastRemindedAt >= threshold));
+}
+
+function formatWaitingTime(request, now) {
+    const hours = Math.floor((now - getSubmittedAt(request)) / (60 * 60 * 1000));
+    return hours >= 48 ? `${Math.floor(hours / 24)} days` : `${hours} hours`;
+}
+
+/**
+ * Remind officers about overdue requests, by replying to each approval message or posting a digest
+ */
+async function sendDueReminders(client) {
+    const now = Date.now();
+    const overdue = await findOverdueRequests(now);
+    if (overdue.length === 0) return;
+
+    const roleId = config.get('reminderRoleId');
+    const mention = roleId ? `<@&${roleId}> ` : '';
+    const allowedMentions = { roles: roleId ? [roleId] : [] };
+
+    // One digest per approval channel, or one ping per request
+    const byChannel = new Map();
+    for (const request of overdue) {
+        if (!byChannel.has(request.approvalChannelId)) byChannel.set(request.approvalChannelId, []);
+        byChannel.get(request.approvalChannelId).push(request);
+    }
+
+    for (const [channelId, requests] of byChannel) {
+        let channel;
+        try {
+            channel = await client.channels.fetch(channelId);
+        } catch (error) {
+            console.error(`⚠️ Could not fetch approval channel ${channelId} for reminders:`, error.message);
+            continue;
+        }
+
+        const reminded = [];
+        if (config.get('reminderMode') === 'digest') {
+            let content = `${mention}⏰ **${requests.length}** upload request(s) have been waiting longer than ${config.get('reminderHours')} hours:\n`;
+            for (let i = 0; i < requests.length; i++) {
+                const line = `• ${formatPendingRequest(requests[i])}\n`;
+                if (content.length + line.length > 1900) {
+                    content += `...and ${requests.length - i} more. Use \`/pending-uploads\` to see them all.`;
+                    break;
+                }
+                content += line;
+            }
+
+            try {
+                await channel.send({ content, allowedMentions });
+                reminded.push(...requests);
+            } catch (error) {
+                console.error(`⚠️ Could not post reminder digest in ${channelId}:`, error.message);
+            }
+        } else {
+            for (const request of requests) {
+                try {
+                    const approvalMessage = await channel.messages.fetch(request.approvalMessageId);
+                    await approvalMessage.reply({
+                        content: `${mention}⏰ This upload request from <@${request.userId}> has been waiting for ${formatWaitingTime(request, now)}.`,
+                        allowedMentions
+                    });
+                    reminded.push(request);
+                } catch (error) {
+                    console.error(`⚠️ Could not send reminder for ${request.requestId}:`, error.message);
+                }
+            }
+        }
+
+        for (const request of reminded) {
+            await requestStore.updateRequest(request.requestId, {
+                lastRemindedAt: now,
+                remindersSent: (request.remindersSent || 0) + 1
+            });
+        }
+        if (reminded.length > 0) {
+            console.log(`⏰ Sent reminders for ${reminded.length} overdue upload request(s) in ${channelId}`);
+        }
+    }
+}
+
+/**
+ * Check for overdue requests periodically
+ */
+function startReminderScheduler(client) {
+    return setInterval(async () => {
+        try {
+            await sendDueReminders(client);
+        } catch (error) {
+            console.error('⚠️ Failed to send approval reminders:', error.message);
+        }
+    }, REMINDER_CHECK_INTERVAL);
+}
+
+module.exports = {
+    findOpenRequests,
+    formatPendingRequest,
+    sendDueReminders,
+    startReminderScheduler,
+    REMINDER_CHECK_INTERVAL
+};
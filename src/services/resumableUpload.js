@@ -0,0 +1,253 @@
+const axios = require('axios');
+const { withRetry, isRetryableError, getRetryDelay, sleep } = require('../utils/retry');
+
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+
+// Drive requires chunk sizes in multiples of 256 KiB
+const CHUNK_GRANULARITY = 256 * 1024;
+const DEFAULT_CHUNK_SIZE = 32 * CHUNK_GRANULARITY; // 8 MiB
+const MAX_RESUME_ATTEMPTS = 5;
+
+/**
+ * Streams data into a Google Drive resumable upload session.
+ *
+ * Data is sent in fixed-size chunks, so only one chunk is held in memory at a time.
+ * If a chunk fails mid-transfer, the session is queried for the committed offset
+ * and the remainder of the chunk is re-sent.
+ */
+class ResumableUpload {
+    /**
+     * @param {Object} authClient - Google OAuth2 client used for request headers
+     * @param {Object} options
+     * @param {Object} options.metadata - Drive file metadata (name, parents, description...)
+     * @param {string} options.mimeType - MIME type of the uploaded content
+     * @param {number} [options.size] - Total size in bytes, if known up front
+     * @param {string} [options.fileId] - Existing file to upload a new revision to
+     * @param {string} [options.fields] - Drive fields to return on completion
+     * @param {number} [options.chunkSize] - Chunk size in bytes (rounded to 256 KiB)
+     * @param {Function} [options.onProgress] - Called with { uploaded, total } after each chunk
+     * @param {Function} [options.beforeComplete] - Awaited once all content has been read, before the final
+     *   chunk creates the file; returning false cancels the session and upload() resolves to null
+     */
+    constructor(authClient, options) {
+        this.authClient = authClient;
+        this.metadata = options.metadata || {};
+        this.mimeType = options.mimeType || 'application/octet-stream';
+        this.size = Number.isFinite(options.size) && options.size >= 0 ? options.size : null;
+        this.fileId = options.fileId || null;
+        this.fields = options.fields || 'id, name, webViewLink, size';
+        this.onProgress = options.onProgress || null;
+        this.beforeComplete = options.beforeComplete || null;
+
+        const requested = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        this.chunkSize = Math.max(CHUNK_GRANULARITY, Math.floor(requested / CHUNK_GRANULARITY) * CHUNK_GRANULARITY);
+
+        this.sessionUri = null;
+        this.offset = 0;
+    }
+
+    async getAuthHeaders() {
+        return await this.authClient.getRequestHeaders();
+    }
+
+    /**
+     * Open the resumable session and remember its URI
+     */
+    async start() {
+        const headers = {
+            ...(await this.getAuthHeaders()),
+            'Content-Type': 'application/json; charset=UTF-8',
+            'X-Upload-Content-Type': this.mimeType
+        };
+        if (this.size !== null) {
+            headers['X-Upload-Content-Length'] = this.size;
+        }
+
+        const url = this.fileId ? `${DRIVE_UPLOAD_URL}/${this.fileId}` : DRIVE_UPLOAD_URL;
+        const response = await withRetry(() => axios.request({
+            method: this.fileId ? 'PATCH' : 'POST',
+            url,
+            params: { uploadType: 'resumable', fields: this.fields, supportsAllDrives: true },
+            headers,
+            data: this.metadata,
+            timeout: 30000
+        }), { label: 'Drive upload session' });
+
+        this.sessionUri = response.headers.location;
+        if (!this.sessionUri) {
+            throw new Error('Google Drive did not return a resumable session URI');
+        }
+        return this.sessionUri;
+    }
+
+    /**
+     * Ask Drive how many bytes of the session it has committed
+     * @returns {Promise<Object>} - { offset } while incomplete, { done, file } once finished
+     */
+    async queryOffset() {
+        const response = await withRetry(async () => axios.put(this.sessionUri, null, {
+            headers: {
+                ...(await this.getAuthHeaders()),
+                'Content-Range': `bytes */${this.size !== null ? this.size : '*'}`
+            },
+            maxRedirects: 0,
+            validateStatus: status => status === 308 || (status >= 200 && status < 300),
+            timeout: 30000
+        }), { label: 'Drive upload status check' });
+
+        if (response.status !== 308) {
+            return { done: true, file: response.data };
+        }
+        return { offset: parseCommittedOffset(response.headers.range) };
+    }
+
+    /**
+     * Send bytes [start, start + buffer.length) of the upload
+     * @returns {Promise<Object>} - { offset } while incomplete, { done, file } once finished
+     */
+    async putChunk(buffer, start, isLast) {
+        const end = start + buffer.length - 1;
+        const total = isLast ? start + buffer.length : (this.size !== null ? this.size : '*');
+        const range = buffer.length > 0 ? `bytes ${start}-${end}/${total}` : `bytes */${total}`;
+
+        const response = await axios.put(this.sessionUri, buffer, {
+            headers: {
+                ...(await this.getAuthHeaders()),
+                'Content-Length': buffer.length,
+                'Content-Range': range
+            },
+            maxRedirects: 0,
+            maxBodyLength: Infinity,
+            validateStatus: status => status === 308 || (status >= 200 && status < 300),
+            timeout: 120000
+        });
+
+        if (response.status !== 308) {
+            return { done: true, file: response.data };
+        }
+        return { offset: parseCommittedOffset(response.headers.range) };
+    }
+
+    /**
+     * Upload one chunk, resuming from the committed offset after a network drop
+     */
+    async sendChunk(buffer, isLast) {
+        const chunkStart = this.offset;
+        let attempt = 0;
+
+        while (true) {
+            const pending = buffer.subarray(this.offset - chunkStart);
+            try {
+                const result = await this.putChunk(pending, this.offset, isLast);
+                if (result.done) {
+                    this.offset = chunkStart + buffer.length;
+                    return result;
+                }
+                this.offset = result.offset;
+            } catch (error) {
+                if (!isRetryableError(error) || attempt >= MAX_RESUME_ATTEMPTS) {
+                    throw error;
+                }
+                const delay = getRetryDelay(attempt++, error);
+                console.log(`⚠️ Upload chunk interrupted (${error.code || error.response?.status}), resuming in ${delay}ms (attempt ${attempt}/${MAX_RESUME_ATTEMPTS})...`);
+                await sleep(delay);
+
+                const status = await this.queryOffset();
+                if (status.done) {
+                    this.offset = chunkStart + buffer.length;
+                    return status;
+                }
+                this.offset = status.offset;
+            }
+
+            if (this.offset >= chunkStart + buffer.length) {
+                return { offset: this.offset };
+            }
+        }
+    }
+
+    /**
+     * Let beforeComplete veto the upload, cancelling the session if it does
+     * @returns {Promise<boolean>} - Whether to send the final chunk
+     */
+    async confirmComplete() {
+        if (!this.beforeComplete || await this.beforeComplete()) return true;
+
+        // Nothing is created in Drive until the final chunk, so dropping the session leaves no file behind
+        try {
+            await axios.delete(this.sessionUri, {
+                headers: await this.getAuthHeaders(),
+                validateStatus: () => true,
+                timeout: 30000
+            });
+        } catch (error) {
+            console.error('⚠️ Could not cancel upload session:', error.message);
+        }
+        return false;
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            try {
+                this.onProgress({ uploaded: this.offset, total: this.size });
+            } catch (error) {
+                console.error('⚠️ Upload progress callback failed:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Stream an async iterable of Buffers into Drive
+     * @param {AsyncIterable<Buffer>} source - File content
+     * @returns {Promise<Object|null>} - Drive file resource, or null if beforeComplete cancelled the upload
+     */
+    async upload(source) {
+        if (!this.sessionUri) {
+            await this.start();
+        }
+
+        let pending = [];
+        let pendingLength = 0;
+
+        for await (const data of source) {
+            pending.push(data);
+            pendingLength += data.length;
+
+            while (pendingLength >= this.chunkSize) {
+                const joined = Buffer.concat(pending, pendingLength);
+                const chunk = joined.subarray(0, this.chunkSize);
+                const rest = joined.subarray(this.chunkSize);
+
+                const isLast = this.size !== null && this.offset + chunk.length >= this.size && rest.length === 0;
+                if (isLast && !await this.confirmComplete()) return null;
+                const result = await this.sendChunk(chunk, isLast);
+                this.reportProgress();
+                if (result.done) return result.file;
+
+                pending = rest.length > 0 ? [Buffer.from(rest)] : [];
+                pendingLength = rest.length;
+            }
+        }
+
+        if (!await this.confirmComplete()) return null;
+        const result = await this.sendChunk(Buffer.concat(pending, pendingLength), true);
+        this.reportProgress();
+        if (!result.done) {
+            throw new Error(`Upload incomplete: Drive committed ${this.offset} bytes`);
+        }
+        return result.file;
+    }
+}
+
+/**
+ * Parse the "Range: bytes=0-N" header of a 308 response into the next offset
+ */
+function parseCommittedOffset(rangeHeader) {
+    const match = rangeHeader?.match(/bytes=0-(\d+)/);
+    return match ? parseInt(match[1], 10) + 1 : 0;
+}
+
+module.exports = {
+    ResumableUpload,
+    DEFAULT_CHUNK_SIZE
+};
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { isPathWithin, matchesPathPattern } = require('./helpers');
+
+const AUDIT_LOG_FILE = path.join(__dirname, '..', '..', 'config', 'audit-log.jsonl');
+
+// Actions recorded in the audit log
+const AUDIT_ACTIONS = Object.freeze({
+    SUBMITTED: 'submitted',         // Requester sent a request to the approval channel
+    APPROVAL_VOTE: 'approval_vote', // Officer approved a request that still needs more approvals
+    ARTIST_CONSENT: 'artist_consent', // Artist allowed or declined an officer's upload of their work
+    APPROVED: 'approved',           // Upload reached Google Drive
+    UPLOAD_FAILED: 'upload_failed', // Approved but the upload threw
+    DENIED: 'denied',               // Officer rejected the request
+    SKIPPED: 'skipped',             // Closed as a duplicate
+    EDITED: 'edited',               // Requester or officer changed the request
+    RESUBMITTED: 'resubmitted',     // Requester started a fixed copy of a denied request
+    CANCELLED: 'cancelled',         // Requester abandoned a draft
+    WITHDRAWN: 'withdrawn',         // Requester pulled back a submitted request
+    EXPIRED: 'expired',             // Draft or unanswered request timed out and was removed
+    ADMIN_COMMAND: 'admin_command'  // Officer or admin ran a configuration command
+});
+
+// Column order for CSV export
+const CSV_COLUMNS = ['timestamp', 'action', 'actorId', 'requesterId', 'requestId', 'fileName', 'path', 'driveFileId', 'outcome', 'details'];
+
+// Appends are chained so entries never interleave on disk
+let writeQueue = Promise.resolve();
+
+/**
+ * Append an entry to the audit log (never throws; a failed write is only logged)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {string} actorId - Discord ID of whoever acted (the bot's ID for automatic actions)
+ * @param {Object} [request] - Upload request the action applies to
+ * @param {Object} [extra] - { outcome, details, driveFileId, path, fileName } overriding request fields
+ */
+function logEvent(action, actorId, request = null, extra = {}) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        action,
+        actorId,
+        requesterId: request ? request.userId : null,
+        requestId: request ? request.requestId : null,
+        fileName: request ? request.fileName : null,
+        path: request ? (request.currentPath || '') : null,
+        driveFileId: request ? (request.driveFileId || null) : null,
+        outcome: null,
+        details: null,
+        ...extra
+    };
+
+    writeQueue = writeQueue.then(async () => {
+        try {
+            await fs.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+            await fs.appendFile(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+        } catch (error) {
+            console.error('❌ Error writing audit log:', error);
+        }
+    });
+
+    return writeQueue;
+}
+
+/**
+ * Read audit log entries matching a query, newest first
+ * @param {Object} query - { userId, folder, action, since, until } (all optional; since/until are timestamps in ms)
+ */
+async function queryEvents(query = {}) {
+    // Let pending appends land so a query sees the latest actions
+    await writeQueue;
+
+    let raw = '';
+    try {
+        raw = await fs.readFile(AUDIT_LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Error reading audit log:', error);
+        }
+        return [];
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // A torn write only loses its own line
+        }
+    }
+
+    return entries
+        .filter(entry => matchesQuery(entry, query))
+        .reverse();
+}
+
+function matchesQuery(entry, { userId, folder, action, since, until }) {
+    if (userId && entry.actorId !== userId && entry.requesterId !== userId) return false;
+    if (action && entry.action !== action) return false;
+    if (folder) {
+        if (entry.path === null) return false;
+        const inFolder = folder.includes('*') ? matchesPathPattern(entry.path, folder) : isPathWithin(entry.path, folder);
+        if (!inFolder) return false;
+    }
+
+    const time = Date.parse(entry.timestamp);
+    if (since && time < since) return false;
+    if (until && time > until) return false;
+    return true;
+}
+
+/**
+ * Convert audit log entries to CSV
+ */
+function toCsv(entries) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n');
+}
+
+module.exports = {
+    logEvent,
+    queryEvents,
+    toCsv,
+    AUDIT_ACTIONS,
+    AUDIT_LOG_FILE
+};
@@ -0,0 +1,68 @@
+const config = require('./config');
+const { matchesPathPattern, matchesFileType, formatFileSize, getUploadChannelId, getPendingFoldersOnPath } = require('./helpers');
+
+/**
+ * Check a request against one rule (every condition the rule sets must hold)
+ * @param {Object} rule - { roleId, channelId, folder, fileTypes, maxSize, allowNewFolders }
+ * @param {Object} request - Upload request (batch requests match only if every included file does)
+ * @param {Array<string>} roleIds - Requester's role IDs in the source guild
+ */
+function matchesRule(rule, request, roleIds) {
+    if (rule.roleId && !roleIds.includes(rule.roleId)) return false;
+    if (rule.channelId && rule.channelId !== getUploadChannelId(request)) return false;
+    if (rule.folder && !matchesPathPattern(request.currentPath || '', rule.folder)) return false;
+    // Folders the requester added would be created in Drive without an officer ever seeing them
+    if (!rule.allowNewFolders && getPendingFoldersOnPath(request.pendingFolders, request.currentPath).length > 0) return false;
+
+    const files = request.batch ? request.items.filter(item => item.included) : [request];
+    return files.every(file =>
+        // Links with an unknown size never match a size-limited rule
+        (!rule.maxSize || (Number.isFinite(file.fileSize) && file.fileSize <= rule.maxSize))
+        && (!rule.fileTypes || rule.fileTypes.length === 0 || matchesFileType(rule.fileTypes, file.originalFileName, file.contentType))
+    );
+}
+
+/**
+ * Find the first auto-approve rule a request matches
+ * @param {Object} client - Discord client (to look up the requester's roles)
+ * @param {Object} request - Upload request about to be submitted
+ * @returns {Promise<Object|null>} - { rule, number } or null if no rule matches
+ */
+async function findAutoApproveRule(client, request) {
+    const rules = config.get('autoApproveRules') || [];
+    if (rules.length === 0) return null;
+
+    let roleIds = [];
+    if (rules.some(rule => rule.roleId) && request.guildId) {
+        try {
+            const guild = await client.guilds.fetch(request.guildId);
+            const member = await guild.members.fetch(request.userId);
+            roleIds = Array.from(member.roles.cache.keys());
+        } catch (error) {
+            console.error('⚠️ Could not load requester roles for auto-approval:', error.message);
+        }
+    }
+
+    const index = rules.findIndex(rule => matchesRule(rule, request, roleIds));
+    return index === -1 ? null : { rule: rules[index], number: index + 1 };
+}
+
+/**
+ * Describe an auto-approve rule for replies, embeds and /show-config
+ */
+function describeAutoApproveRule(rule) {
+    const conditions = [
+        rule.roleId ? `role <@&${rule.roleId}>` : null,
+        rule.channelId ? `from <#${rule.channelId}>` : null,
+        rule.folder ? `into \`${rule.folder}\`` : null,
+        rule.fileTypes && rule.fileTypes.length > 0 ? `types ${rule.fileTypes.join(', ')}` : null,
+        rule.maxSize ? `up to ${formatFileSize(rule.maxSize)}` : null,
+        rule.allowNewFolders ? 'may create new folders' : null
+    ].filter(Boolean);
+    return conditions.join(', ');
+}
+
+module.exports = {
+    findAutoApproveRule,
+    describeAutoApproveRule
+};
@@ -6,11 +6,33 @@ const CONFIG_FILE = path.join(__dirname, '..', '..', 'config', 'config.json');
 // Default configuration
 const DEFAULT_CONFIG = {
     uploadChannels: [],
+    threadUploads: {}, // uploadChannelId -> false when its threads and forum posts don't count as upload channels
     defaultApprovalChannelId: "",
     approvalMappings: {}, // uploadChannelId -> approvalChannelId
+    channelFolderMappings: {}, // uploadChannelId -> { path, locked } default Drive folder
     uploadEmoji: "⬆️",
     officerPermission: "ManageMessages",
     rootFolderId: "",
+    rootDriveId: "", // Shared Drive holding the root folder ("" for My Drive)
+    rootDriveName: "",
+    collisionPolicy: "suffix", // What to do when a file with the same name exists in the target folder
+    collisionPolicies: {}, // uploadChannelId -> collision policy override
+    filePolicy: {}, // { allowedTypes, maxSize, minWidth, minHeight } - files that may be requested for upload
+    filePolicies: {}, // uploadChannelId -> file policy fields overriding the global policy
+    fileNameTemplates: {}, // uploadChannelId -> file name template, e.g. "{date}_{author}_{channel}_{original}"
+    folderCreation: "off", // Who can add new folders from the DM picker: off, officers or everyone
+    workflowModes: {}, // guildId -> "dm" or "channel" (ephemeral replies in the upload channel)
+    userWorkflowModes: {}, // userId -> "dm" or "channel", overriding the guild's mode
+    artistConsent: {}, // guildId -> true when officer uploads of someone else's work wait for the artist to allow them
+    denyReasons: [], // Preset reasons officers can pick when denying a request
+    quorumRules: [], // [{ folder, approvalChannelId, approvals }] - uploads matching a rule need several officer approvals
+    autoApproveRules: [], // [{ roleId, channelId, folder, fileTypes, maxSize, allowNewFolders }] - uploads matching a rule skip officer approval
+    reminderHours: 0, // Remind officers about requests pending longer than this (0 = off)
+    reminderMode: "ping", // ping: reply to each overdue approval message, digest: one summary per approval channel
+    reminderRoleId: "", // Officer role mentioned in reminders (optional)
+    draftExpiryHours: 24, // Drop DM drafts left untouched this long (0 = never)
+    approvalExpiryHours: 0, // Drop submitted requests no officer answered this long (0 = never)
+    historyRetentionDays: 30, // Drop finished requests (approved, denied, skipped, withdrawn) this long after their last update (0 = keep)
     cacheRefreshInterval: 3600000 // 1 hour in milliseconds
 };
 
@@ -139,6 +161,38 @@ async function removeApprovalMapping(uploadChannelId) {
     return true;
 }
 
+/**
+ * Set the default Drive folder for an upload channel
+ */
+async function setChannelFolderMapping(uploadChannelId, folderPath, locked = false) {
+    if (!currentConfig.channelFolderMappings) currentConfig.channelFolderMappings = {};
+    currentConfig.channelFolderMappings[uploadChannelId] = { path: folderPath, locked };
+    return await saveConfig();
+}
+
+/**
+ * Remove an upload channel's default Drive folder
+ */
+async function removeChannelFolderMapping(uploadChannelId) {
+    if (currentConfig.channelFolderMappings && currentConfig.channelFolderMappings[uploadChannelId]) {
+        delete currentConfig.channelFolderMappings[uploadChannelId];
+        return await saveConfig();
+    }
+    return true;
+}
+
+function getChannelFolderFor(uploadChannelId) {
+    return (currentConfig.channelFolderMappings && currentConfig.channelFolderMappings[uploadChannelId]) || null;
+}
+
+/**
+ * Get every configured approval channel (the default plus mapped ones)
+ */
+function getApprovalChannelIds() {
+    const ids = [currentConfig.defaultApprovalChannelId, ...Object.values(currentConfig.approvalMappings || {})];
+    return [...new Set(ids.filter(Boolean))];
+}
+
 function getApprovalChannelFor(uploadChannelId) {
     if (currentConfig.approvalMappings && currentConfig.approvalMappings[uploadChannelId]) {
         return currentConfig.approvalMappings[uploadChannelId];
@@ -146,6 +200,234 @@ function getApprovalChannelFor(uploadChannelId) {
     return currentConfig.defaultApprovalChannelId;
 }
 
+// Valid values for collisionPolicy / collisionPolicies
+const COLLISION_POLICIES = ['suffix', 'timestamp', 'overwrite', 'reject'];
+
+/**
+ * Set the name collision policy for an upload channel (or globally when no channel is given)
+ */
+async function setCollisionPolicy(policy, uploadChannelId = null) {
+    if (!uploadChannelId) {
+        currentConfig.collisionPolicy = policy;
+        return await saveConfig();
+    }
+    if (!currentConfig.collisionPolicies) currentConfig.collisionPolicies = {};
+    currentConfig.collisionPolicies[uploadChannelId] = policy;
+    return await saveConfig();
+}
+
+/**
+ * Remove a channel's collision policy override
+ */
+async function removeCollisionPolicy(uploadChannelId) {
+    if (currentConfig.collisionPolicies && currentConfig.collisionPolicies[uploadChannelId]) {
+        delete currentConfig.collisionPolicies[uploadChannelId];
+        return await saveConfig();
+    }
+    return true;
+}
+
+function getCollisionPolicyFor(uploadChannelId) {
+    if (currentConfig.collisionPolicies && currentConfig.collisionPolicies[uploadChannelId]) {
+        return currentConfig.collisionPolicies[uploadChannelId];
+    }
+    return currentConfig.collisionPolicy || DEFAULT_CONFIG.collisionPolicy;
+}
+
+/**
+ * Merge settings into the file policy for an upload channel (or the global policy when no channel is given)
+ */
+async function setFilePolicy(updates, uploadChannelId = null) {
+    if (!uploadChannelId) {
+        currentConfig.filePolicy = { ...(currentConfig.filePolicy || {}), ...updates };
+        return await saveConfig();
+    }
+    if (!currentConfig.filePolicies) currentConfig.filePolicies = {};
+    currentConfig.filePolicies[uploadChannelId] = { ...(currentConfig.filePolicies[uploadChannelId] || {}), ...updates };
+    return await saveConfig();
+}
+
+/**
+ * Remove a channel's file policy override (or reset the global policy when no channel is given)
+ */
+async function removeFilePolicy(uploadChannelId = null) {
+    if (!uploadChannelId) {
+        currentConfig.filePolicy = {};
+        return await saveConfig();
+    }
+    if (currentConfig.filePolicies && currentConfig.filePolicies[uploadChannelId]) {
+        delete currentConfig.filePolicies[uploadChannelId];
+        return await saveConfig();
+    }
+    return true;
+}
+
+/**
+ * Set the file name template for an upload channel
+ */
+async function setFileNameTemplate(uploadChannelId, template) {
+    if (!currentConfig.fileNameTemplates) currentConfig.fileNameTemplates = {};
+    currentConfig.fileNameTemplates[uploadChannelId] = template;
+    return await saveConfig();
+}
+
+/**
+ * Remove an upload channel's file name template
+ */
+async function removeFileNameTemplate(uploadChannelId) {
+    if (currentConfig.fileNameTemplates && currentConfig.fileNameTemplates[uploadChannelId]) {
+        delete currentConfig.fileNameTemplates[uploadChannelId];
+        return await saveConfig();
+    }
+    return true;
+}
+
+function getFileNameTemplateFor(uploadChannelId) {
+    return (currentConfig.fileNameTemplates && currentConfig.fileNameTemplates[uploadChannelId]) || null;
+}
+
+/**
+ * Get the upload channel whose settings apply to a channel, or null if uploads aren't allowed there
+ *
+ * Threads and forum posts count as their parent upload channel unless it turned that off.
+ * @param {Object} channel - Discord channel ({ id, parentId, isThread() })
+ */
+function getUploadChannelFor(channel) {
+    const uploadChannels = currentConfig.uploadChannels || [];
+    if (uploadChannels.includes(channel.id)) return channel.id;
+
+    const parentId = typeof channel.isThread === 'function' && channel.isThread() ? channel.parentId : null;
+    if (parentId && uploadChannels.includes(parentId) && (currentConfig.threadUploads || {})[parentId] !== false) {
+        return parentId;
+    }
+    return null;
+}
+
+/**
+ * Choose whether an upload channel's threads and forum posts count as upload channels
+ */
+async function setThreadUploads(uploadChannelId, enabled) {
+    if (!currentConfig.threadUploads) currentConfig.threadUploads = {};
+    if (enabled) {
+        delete currentConfig.threadUploads[uploadChannelId];
+    } else {
+        currentConfig.threadUploads[uploadChannelId] = false;
+    }
+    return await saveConfig();
+}
+
+/**
+ * Set where a guild's upload pickers appear (DMs or ephemeral replies in the channel)
+ */
+async function setWorkflowMode(guildId, mode) {
+    if (!currentConfig.workflowModes) currentConfig.workflowModes = {};
+    currentConfig.workflowModes[guildId] = mode;
+    return await saveConfig();
+}
+
+/**
+ * Set a user's own workflow mode preference (null goes back to the guild's mode)
+ */
+async function setUserWorkflowMode(userId, mode) {
+    if (!currentConfig.userWorkflowModes) currentConfig.userWorkflowModes = {};
+    if (mode) {
+        currentConfig.userWorkflowModes[userId] = mode;
+    } else {
+        delete currentConfig.userWorkflowModes[userId];
+    }
+    return await saveConfig();
+}
+
+/**
+ * Get where a user's upload picker should appear (user preference, then guild mode, then DMs)
+ */
+function getWorkflowModeFor(guildId, userId) {
+    return (currentConfig.userWorkflowModes && currentConfig.userWorkflowModes[userId])
+        || (currentConfig.workflowModes && currentConfig.workflowModes[guildId])
+        || 'dm';
+}
+
+/**
+ * Require (or stop requiring) the artist's consent for officer uploads of their work in a guild
+ */
+async function setArtistConsentRequired(guildId, required) {
+    if (!currentConfig.artistConsent) currentConfig.artistConsent = {};
+    if (required) {
+        currentConfig.artistConsent[guildId] = true;
+    } else {
+        delete currentConfig.artistConsent[guildId];
+    }
+    return await saveConfig();
+}
+
+/**
+ * Check whether officer uploads in a guild wait for the artist's consent
+ */
+function isArtistConsentRequired(guildId) {
+    return Boolean(currentConfig.artistConsent && currentConfig.artistConsent[guildId]);
+}
+
+/**
+ * Add a quorum rule (matches a folder pattern, an approval channel, or both)
+ */
+async function addQuorumRule(rule) {
+    if (!Array.isArray(currentConfig.quorumRules)) currentConfig.quorumRules = [];
+    currentConfig.quorumRules.push(rule);
+    return await saveConfig();
+}
+
+/**
+ * Remove a quorum rule by its position in the list
+ */
+async function removeQuorumRule(index) {
+    if (!Array.isArray(currentConfig.quorumRules) || !currentConfig.quorumRules[index]) {
+        return false;
+    }
+    currentConfig.quorumRules.splice(index, 1);
+    return await saveConfig();
+}
+
+/**
+ * Get how many officer approvals an upload needs (the strictest matching rule wins)
+ */
+function getApprovalsRequiredFor(folderPath, approvalChannelId) {
+    const { matchesPathPattern } = require('./helpers');
+
+    return (currentConfig.quorumRules || [])
+        .filter(rule => (!rule.folder || matchesPathPattern(folderPath || '', rule.folder))
+            && (!rule.approvalChannelId || rule.approvalChannelId === approvalChannelId))
+        .reduce((required, rule) => Math.max(required, rule.approvals), 1);
+}
+
+/**
+ * Add an auto-approve rule (every condition it sets must match)
+ */
+async function addAutoApproveRule(rule) {
+    if (!Array.isArray(currentConfig.autoApproveRules)) currentConfig.autoApproveRules = [];
+    currentConfig.autoApproveRules.push(rule);
+    return await saveConfig();
+}
+
+/**
+ * Remove an auto-approve rule by its position in the list
+ */
+async function removeAutoApproveRule(index) {
+    if (!Array.isArray(currentConfig.autoApproveRules) || !currentConfig.autoApproveRules[index]) {
+        return false;
+    }
+    currentConfig.autoApproveRules.splice(index, 1);
+    return await saveConfig();
+}
+
+// Valid values for folderCreation
+const FOLDER_CREATION_MODES = ['off', 'officers', 'everyone'];
+
+// Valid values for workflowModes / userWorkflowModes
+const WORKFLOW_MODES = ['dm', 'channel'];
+
+// Valid values for reminderMode
+const REMINDER_MODES = ['ping', 'digest'];
+
 module.exports = {
     loadConfig,
     saveConfig,
@@ -158,5 +440,33 @@ module.exports = {
     setApprovalMapping,
     removeApprovalMapping,
     getApprovalChannelFor,
+    getApprovalChannelIds,
+    setChannelFolderMapping,
+    removeChannelFolderMapping,
+    getChannelFolderFor,
+    setCollisionPolicy,
+    removeCollisionPolicy,
+    getCollisionPolicyFor,
+    COLLISION_POLICIES,
+    setFilePolicy,
+    removeFilePolicy,
+    setFileNameTemplate,
+    removeFileNameTemplate,
+    getFileNameTemplateFor,
+    FOLDER_CREATION_MODES,
+    REMINDER_MODES,
+    WORKFLOW_MODES,
+    getUploadChannelFor,
+    setThreadUploads,
+    setWorkflowMode,
+    setUserWorkflowMode,
+    getWorkflowModeFor,
+    setArtistConsentRequired,
+    isArtistConsentRequired,
+    addQuorumRule,
+    removeQuorumRule,
+    getApprovalsRequiredFor,
+    addAutoApproveRule,
+    removeAutoApproveRule,
     DEFAULT_CONFIG
 }; 
\ No newline at end of file
@@ -0,0 +1,135 @@
+// Variables available in file name templates, e.g. "{date}_{author}_{channel}_{original}"
+const TEMPLATE_VARIABLES = {
+    date: 'Message date (YYYY-MM-DD)',
+    time: 'Message time (HH-mm)',
+    author: 'Message author username',
+    author_id: 'Message author Discord ID',
+    channel: 'Channel name (the parent channel for threads and forum posts)',
+    title: 'Thread or forum post title (empty elsewhere)',
+    tags: 'Forum post tags, joined with dashes (empty elsewhere)',
+    index: 'Attachment number within the message (1, 2, ...)',
+    original: 'Original file name including extension',
+    name: 'Original file name without extension',
+    ext: 'Original file extension (without the dot)',
+    slug: 'Slug of the upload description'
+};
+
+// Characters Google Drive users can't easily work with in file names
+const UNSAFE_CHARS = /[\/\\:*?"<>|\u0000-\u001f]/g;
+
+/**
+ * Turn free text into a short, file-name friendly slug
+ */
+function slugify(text, maxLength = 40) {
+    return (text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, maxLength)
+        .replace(/-+$/, '');
+}
+
+/**
+ * Split a file name into base name and extension (without the dot)
+ */
+function splitExtension(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    if (dot <= 0) return { name: fileName, ext: '' };
+    return { name: fileName.slice(0, dot), ext: fileName.slice(dot + 1) };
+}
+
+/**
+ * Find template variables that aren't supported
+ */
+function findUnknownVariables(template) {
+    const used = Array.from(template.matchAll(/\{([a-z_]+)\}/g), match => match[1]);
+    return used.filter(variable => !(variable in TEMPLATE_VARIABLES));
+}
+
+/**
+ * Get the title and tag names of the thread or forum post a message is in
+ * @returns {Object} - { title, tags, forumPost } (empty outside threads; tags only exist on forum posts)
+ */
+function getThreadDetails(channel) {
+    if (!channel || typeof channel.isThread !== 'function' || !channel.isThread()) {
+        return { title: '', tags: [], forumPost: false };
+    }
+
+    // Forum and media channels are the parents that have tags
+    const forumPost = Boolean(channel.parent && channel.parent.availableTags);
+    const availableTags = forumPost ? channel.parent.availableTags : [];
+    const tags = (channel.appliedTags || [])
+        .map(id => availableTags.find(tag => tag.id === id))
+        .filter(Boolean)
+        .map(tag => tag.name);
+    return { title: channel.name || '', tags, forumPost };
+}
+
+/**
+ * Collect template variables for an attachment in a Discord message
+ * @param {Object} message - Source Discord message
+ * @param {string} originalFileName - Attachment file name
+ * @param {number} index - Zero-based attachment index within the message
+ */
+function buildTemplateVariables(message, originalFileName, index = 0) {
+    const created = message.createdAt || new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const { name, ext } = splitExtension(originalFileName);
+    const thread = getThreadDetails(message.channel);
+
+    return {
+        date: `${created.getFullYear()}-${pad(created.getMonth() + 1)}-${pad(created.getDate())}`,
+        time: `${pad(created.getHours())}-${pad(created.getMinutes())}`,
+        author: message.author?.username || 'unknown',
+        author_id: message.author?.id || '',
+        channel: (message.channel?.isThread?.() ? message.channel.parent?.name : message.channel?.name) || 'dm',
+        title: thread.title,
+        tags: thread.tags.join('-'),
+        index: String(index + 1),
+        original: originalFileName,
+        name,
+        ext,
+        slug: ''
+    };
+}
+
+/**
+ * Render a file name template, keeping the original extension
+ * @param {string} template - Template such as "{date}_{author}_{original}"
+ * @param {Object} variables - Values from buildTemplateVariables (plus slug)
+ * @returns {string} - Safe file name
+ */
+function renderFileNameTemplate(template, variables) {
+    let rendered = template.replace(/\{([a-z_]+)\}/g, (match, key) =>
+        key in variables ? String(variables[key] ?? '') : match
+    );
+
+    rendered = rendered
+        .replace(UNSAFE_CHARS, '-')
+        .replace(/\s+/g, ' ')
+        // Collapse separators left behind by empty variables ("a__b", "_b", "a_.png")
+        .replace(/([_\-. ])[_\- ]+/g, '$1')
+        .replace(/^[_\- ]+|[_\- ]+$/g, '')
+        .replace(/[_\- ]+\./g, '.')
+        .trim();
+
+    if (!rendered) return variables.original;
+
+    // Keep the file type intact even if the template doesn't mention it
+    if (variables.ext && !rendered.toLowerCase().endsWith(`.${variables.ext.toLowerCase()}`)) {
+        rendered = `${rendered}.${variables.ext}`;
+    }
+
+    return rendered.slice(0, 200);
+}
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    slugify,
+    findUnknownVariables,
+    buildTemplateVariables,
+    getThreadDetails,
+    renderFileNameTemplate
+};
@@ -0,0 +1,119 @@
+const config = require('./config');
+const { formatFileSize, getFileNameFromUrl, matchesFileType } = require('./helpers');
+
+// Policy fields; an unset field means "no limit"
+const EMPTY_POLICY = {
+    allowedTypes: [],  // MIME types ("image/*", "image/png") or extensions ("psd")
+    maxSize: null,     // Bytes
+    minWidth: null,    // Pixels, images only
+    minHeight: null    // Pixels, images only
+};
+
+/**
+ * Get the file policy for an upload channel (channel settings override the global policy)
+ */
+function getFilePolicyFor(channelId) {
+    const globalPolicy = config.get('filePolicy') || {};
+    const channelPolicy = (config.get('filePolicies') || {})[channelId] || {};
+
+    const policy = { ...EMPTY_POLICY };
+    for (const key of Object.keys(EMPTY_POLICY)) {
+        if (hasValue(channelPolicy[key])) {
+            policy[key] = channelPolicy[key];
+        } else if (hasValue(globalPolicy[key])) {
+            policy[key] = globalPolicy[key];
+        }
+    }
+    return policy;
+}
+
+function hasValue(value) {
+    return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+}
+
+// "1000×500", "1000px wide" or "500px tall"
+function describeMinDimensions(policy) {
+    if (policy.minWidth && policy.minHeight) return `${policy.minWidth}×${policy.minHeight}`;
+    return policy.minWidth ? `${policy.minWidth}px wide` : `${policy.minHeight}px tall`;
+}
+
+/**
+ * Check an attachment against a file policy
+ * @param {Object} attachment - Discord attachment ({ name, url, size, contentType, width, height })
+ * @param {Object} policy - Policy from getFilePolicyFor
+ * @returns {Object} - { allowed, reason } where reason explains a rejection
+ */
+function checkAttachment(attachment, policy) {
+    const fileName = attachment.name || getFileNameFromUrl(attachment.url);
+
+    if (policy.allowedTypes.length > 0 && !matchesFileType(policy.allowedTypes, fileName, attachment.contentType)) {
+        const type = attachment.contentType || fileName.split('.').pop();
+        return { allowed: false, reason: `files of type \`${type}\` aren't allowed (allowed: ${policy.allowedTypes.join(', ')})` };
+    }
+
+    if (policy.maxSize && attachment.size > policy.maxSize) {
+        return { allowed: false, reason: `it is ${formatFileSize(attachment.size)}, over the ${formatFileSize(policy.maxSize)} limit` };
+    }
+
+    // Discord only reports dimensions for images and videos
+    if (attachment.width && attachment.height) {
+        if ((policy.minWidth && attachment.width < policy.minWidth) || (policy.minHeight && attachment.height < policy.minHeight)) {
+            return { allowed: false, reason: `it is ${attachment.width}×${attachment.height}, smaller than the minimum of ${describeMinDimensions(policy)}` };
+        }
+    }
+
+    return { allowed: true, reason: null };
+}
+
+/**
+ * Split a message's attachments into allowed and rejected ones for an upload channel
+ * (sources from getMessageSources keep their own index; plain attachments use their position)
+ * @returns {Object} - { allowed: [{ attachment, index }], rejected: [{ attachment, index, fileName, reason }] }
+ */
+function partitionAttachments(attachments, channelId) {
+    const policy = getFilePolicyFor(channelId);
+    const allowed = [];
+    const rejected = [];
+
+    attachments.forEach((attachment, position) => {
+        const index = attachment.index !== undefined ? attachment.index : position;
+        const check = checkAttachment(attachment, policy);
+        if (check.allowed) {
+            allowed.push({ attachment, index });
+        } else {
+            rejected.push({ attachment, index, fileName: attachment.name || getFileNameFromUrl(attachment.url), reason: check.reason });
+        }
+    });
+
+    return { allowed, rejected };
+}
+
+/**
+ * Describe rejected attachments for a DM ("❌ **a.zip** can't be uploaded: ...")
+ */
+function describeRejections(rejected) {
+    return rejected
+        .map(({ fileName, reason }) => `❌ **${fileName}** can't be uploaded: ${reason}.`)
+        .join('\n');
+}
+
+/**
+ * Describe a file policy for replies and /show-config
+ */
+function describeFilePolicy(policy) {
+    const limits = [
+        hasValue(policy.allowedTypes) ? `types ${policy.allowedTypes.join(', ')}` : null,
+        policy.maxSize ? `up to ${formatFileSize(policy.maxSize)}` : null,
+        policy.minWidth || policy.minHeight ? `images at least ${describeMinDimensions(policy)}` : null
+    ].filter(Boolean);
+    return limits.length > 0 ? limits.join(', ') : 'any file';
+}
+
+module.exports = {
+    getFilePolicyFor,
+    checkAttachment,
+    partitionAttachments,
+    describeRejections,
+    describeFilePolicy,
+    EMPTY_POLICY
+};
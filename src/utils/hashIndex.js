@@ -0,0 +1,74 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const HASH_INDEX_FILE = path.join(__dirname, '..', '..', 'config', 'upload-hashes.json');
+
+// md5 -> [{ fileId, fileName, path, webViewLink, uploadedAt }]
+let index = null;
+let writeQueue = Promise.resolve();
+
+// Set when the index file couldn't be read; lookups and writes then fail instead of replacing it
+let loadError = null;
+
+/**
+ * Load the hash index of previously uploaded files
+ */
+async function loadHashIndex() {
+    try {
+        index = (await readJsonFile(HASH_INDEX_FILE, 'Upload hash index')) || {};
+        loadError = null;
+    } catch (error) {
+        console.error('❌ Error loading upload hash index:', error.message);
+        loadError = error;
+        throw error;
+    }
+    return index;
+}
+
+async function ensureLoaded() {
+    if (loadError) throw loadError;
+    if (!index) await loadHashIndex();
+}
+
+async function saveHashIndex() {
+    const snapshot = JSON.stringify(index, null, 2);
+
+    writeQueue = writeQueue.then(async () => {
+        try {
+            await writeJsonFile(HASH_INDEX_FILE, snapshot);
+        } catch (error) {
+            console.error('❌ Error saving upload hash index:', error);
+        }
+    });
+
+    return writeQueue;
+}
+
+/**
+ * Remember that content with this hash now lives in Drive
+ */
+async function recordUpload(hash, entry) {
+    if (!hash) return;
+    await ensureLoaded();
+
+    const entries = (index[hash] || []).filter(existing => existing.fileId !== entry.fileId);
+    entries.push({ ...entry, uploadedAt: Date.now() });
+    index[hash] = entries;
+    await saveHashIndex();
+}
+
+/**
+ * Get previously uploaded files with this content hash
+ */
+async function findByHash(hash) {
+    if (!hash) return [];
+    await ensureLoaded();
+    return (index[hash] || []).map(entry => ({ ...entry }));
+}
+
+module.exports = {
+    loadHashIndex,
+    recordUpload,
+    findByHash,
+    HASH_INDEX_FILE
+};
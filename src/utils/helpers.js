@@ -4,6 +4,7 @@ const { PermissionsBitField } = require('discord.js');
  * Format file size in human-readable format
  */
 function formatFileSize(bytes) {
+    if (bytes === null || bytes === undefined) return 'Unknown size';
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
     const sizes = ['Bytes', 'KB', 'MB', 'GB'];
@@ -12,22 +13,15 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Convert file size string back to bytes
+ * Format upload progress as a text progress bar
  */
-function parseFileSize(fileSizeStr) {
-    const sizeMatch = fileSizeStr?.match(/^([\d.]+)\s*(Bytes|KB|MB|GB)$/);
-    if (!sizeMatch) return 0;
-    
-    const value = parseFloat(sizeMatch[1]);
-    const unit = sizeMatch[2];
-    
-    switch (unit) {
-        case 'Bytes': return value;
-        case 'KB': return value * 1024;
-        case 'MB': return value * 1024 * 1024;
-        case 'GB': return value * 1024 * 1024 * 1024;
-        default: return 0;
-    }
+function formatProgress(uploaded, total) {
+    if (!total) return `${formatFileSize(uploaded)} uploaded`;
+
+    const ratio = Math.min(uploaded / total, 1);
+    const filled = Math.round(ratio * 20);
+    const bar = '▓'.repeat(filled) + '░'.repeat(20 - filled);
+    return `${bar} ${Math.round(ratio * 100)}% (${formatFileSize(uploaded)} / ${formatFileSize(total)})`;
 }
 
 /**
@@ -44,10 +38,63 @@ function getFileNameFromUrl(url) {
 }
 
 /**
- * Helper to extract field values from Discord embeds (eliminates code duplication)
+ * Normalize a Drive folder path ("/Art//Sketches/" -> "Art/Sketches")
+ */
+function normalizeFolderPath(folderPath) {
+    return (folderPath || '').split('/').map(part => part.trim()).filter(Boolean).join('/');
+}
+
+/**
+ * Check whether a folder path is the given root path or inside it
+ */
+function isPathWithin(folderPath, rootPath) {
+    if (!rootPath) return true;
+    return folderPath === rootPath || (folderPath || '').startsWith(`${rootPath}/`);
+}
+
+/**
+ * Check whether a folder path matches a glob-style pattern
+ * ("Portfolio/**" matches Portfolio and everything inside it, "*" matches within one folder)
+ */
+function matchesPathPattern(folderPath, pattern) {
+    const normalized = normalizeFolderPath(pattern);
+    if (!normalized || normalized === '**') return true;
+
+    const source = normalized
+        .split('/')
+        .map(part => part === '**'
+            ? '\u0000'
+            : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+        .join('/')
+        // "a/**" also matches "a" itself, "**/b" matches "b" at any depth
+        .replace(/\/\u0000$/, '(?:/.*)?')
+        .replace(/^\u0000\//, '(?:.*/)?')
+        .replace(/\/\u0000\//g, '/(?:.*/)?')
+        .replace(/\u0000/g, '.*');
+
+    return new RegExp(`^${source}$`).test(normalizeFolderPath(folderPath));
+}
+
+/**
+ * Check a file against a list of types ("image/*", "image/png" or extensions like "png")
  */
-function getFieldValue(embed, fieldName) {
-    return embed.fields.find(f => f.name === fieldName)?.value;
+function matchesFileType(fileTypes, fileName, contentType) {
+    const extension = (fileName || '').includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+    return fileTypes.some(type => {
+        type = type.toLowerCase();
+        if (type.endsWith('/*')) return mimeType.startsWith(type.slice(0, -1));
+        if (type.includes('/')) return mimeType === type;
+        return extension === type.replace(/^\./, '');
+    });
+}
+
+/**
+ * Get the folders a request created (pending until approval) that lie on its upload path
+ */
+function getPendingFoldersOnPath(pendingFolders, folderPath) {
+    return (pendingFolders || []).filter(pending => isPathWithin(folderPath, pending));
 }
 
 /**
@@ -73,24 +120,50 @@ async function canTriggerUpload(user, message) {
     }
 
     // Check officer permissions
-    try {
-        const guild = message.guild;
-        if (!guild) return { canUpload: false, reason: 'no_guild' };
+    const guild = message.guild;
+    if (!guild) return { canUpload: false, reason: 'no_guild' };
 
-        const member = await guild.members.fetch(user.id);
+    if (await isGuildOfficer(guild, user.id)) {
+        return { canUpload: true, reason: 'officer_permission' };
+    }
+
+    return { canUpload: false, reason: 'no_permission' };
+}
+
+/**
+ * Check if a guild member has the configured officer permission
+ */
+async function isGuildOfficer(guild, userId) {
+    try {
+        const member = await guild.members.fetch(userId);
 
         // Check Discord permission using config
         const config = require('./config');
         const officerPermission = config.get('officerPermission');
-        if (officerPermission && member.permissions.has(PermissionsBitField.Flags[officerPermission])) {
-            return { canUpload: true, reason: 'officer_permission' };
-        }
-
+        return Boolean(officerPermission && member.permissions.has(PermissionsBitField.Flags[officerPermission]));
     } catch (error) {
         console.error('❌ Error checking user permissions:', error);
+        return false;
     }
+}
 
-    return { canUpload: false, reason: 'no_permission' };
+/**
+ * Check if a user may create new Drive folders from the DM upload workflow
+ */
+async function canCreateFolders(client, guildId, userId) {
+    const config = require('./config');
+    const mode = config.get('folderCreation');
+
+    if (mode === 'everyone') return true;
+    if (mode !== 'officers' || !guildId) return false;
+
+    try {
+        const guild = await client.guilds.fetch(guildId);
+        return await isGuildOfficer(guild, userId);
+    } catch (error) {
+        console.error('❌ Error checking folder creation permission:', error);
+        return false;
+    }
 }
 
 /**
@@ -118,17 +191,48 @@ async function deleteOriginalDM(client, userId, dmMessageId, requestId) {
     }
 }
 
+/**
+ * Link to a request's message in the approval channel (null until it is submitted)
+ */
+function getApprovalMessageLink(request) {
+    if (!request.guildId || !request.approvalChannelId || !request.approvalMessageId) return null;
+    return `https://discord.com/channels/${request.guildId}/${request.approvalChannelId}/${request.approvalMessageId}`;
+}
+
+/**
+ * Check whether a request was started by someone other than the message's author (an officer)
+ */
+function isOfficerInitiated(request) {
+    return Boolean(request.authorId) && request.authorId !== request.userId;
+}
+
+/**
+ * Get the upload channel whose settings apply to a request (its parent channel when posted in a thread)
+ */
+function getUploadChannelId(request) {
+    return request.uploadChannelId || request.channelId;
+}
+
 function getApprovalChannelId(config, uploadChannelId) {
     return config.getApprovalChannelFor(uploadChannelId);
 }
 
 module.exports = {
     formatFileSize,
-    parseFileSize,
+    formatProgress,
     getFileNameFromUrl,
-    getFieldValue,
+    normalizeFolderPath,
+    isPathWithin,
+    matchesPathPattern,
+    matchesFileType,
+    getPendingFoldersOnPath,
     safeDM,
     canTriggerUpload,
+    isGuildOfficer,
+    canCreateFolders,
     deleteOriginalDM,
+    getApprovalMessageLink,
+    isOfficerInitiated,
+    getUploadChannelId,
     getApprovalChannelId
 }; 
\ No newline at end of file
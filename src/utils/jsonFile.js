@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Read a JSON store file (null if it doesn't exist yet)
+ *
+ * A file that doesn't parse is left where it is and the error is thrown, so the caller keeps
+ * refusing (across restarts too) instead of carrying on with, and later saving, an empty store.
+ * @param {string} file - Path to the JSON file
+ * @param {string} label - What the file holds, for the error message
+ */
+async function readJsonFile(file, label) {
+    let raw;
+    try {
+        raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`${label} ${path.basename(file)} is not valid JSON (${error.message}); fix or restore it`);
+    }
+}
+
+/**
+ * Replace a JSON store file atomically: write a temporary file, flush it, then rename it into place
+ * (a crash mid-write leaves the previous file intact)
+ * @param {string} file - Path to the JSON file
+ * @param {string} contents - Serialized JSON
+ */
+async function writeJsonFile(file, contents) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    const tempPath = `${file}.${process.pid}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(contents, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, file);
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile
+};
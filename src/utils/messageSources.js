@@ -0,0 +1,328 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getFileNameFromUrl } = require('./helpers');
+const { getFilePolicyFor } = require('./filePolicy');
+
+// Links and embeds must point at images or videos no bigger than this
+const REMOTE_SOURCE_TYPES = ['image/', 'video/'];
+const MAX_REMOTE_SOURCE_SIZE = 100 * 1024 * 1024; // 100 MB
+
+// Links and embed media checked per message, so a wall of links can't stall the bot
+const MAX_REMOTE_SOURCES = 10;
+const PROBE_TIMEOUT = 10000; // 10 seconds
+
+const URL_PATTERN = /https?:\/\/[^\s<>"|]+/g;
+
+// Extensions for remote files whose URL has none ("https://pbs.twimg.com/media/abc?format=jpg")
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov'
+};
+
+const ORIGIN_EMOJIS = {
+    attachment: '🖼️',
+    embed: '🧩',
+    link: '🔗'
+};
+
+/**
+ * Collect everything uploadable from a message: attachments, then embed media, then links in the text
+ *
+ * Sources look like attachments ({ url, name, size, contentType, width, height }) plus
+ * { index, origin, originLabel }. Indices follow this order, so they stay stable when the
+ * message is fetched again. Links and embed media have no size or type until resolved.
+ */
+function getMessageSources(message) {
+    const sources = [];
+    const seen = new Set();
+    const embeddedLinks = new Set();
+
+    for (const attachment of message.attachments.values()) {
+        seen.add(attachment.url);
+        sources.push({
+            url: attachment.url,
+            name: getFileNameFromUrl(attachment.url),
+            size: attachment.size,
+            contentType: attachment.contentType,
+            width: attachment.width,
+            height: attachment.height,
+            origin: 'attachment',
+            originLabel: 'Attachment'
+        });
+    }
+
+    const remote = [];
+    const addRemote = (url, origin, originLabel, media = {}) => {
+        if (!url || seen.has(url)) return;
+        seen.add(url);
+        remote.push({ url, name: getFileNameFromUrl(url), size: null, contentType: null, width: media.width || null, height: media.height || null, origin, originLabel });
+    };
+
+    for (const embed of message.embeds) {
+        // Links that produced an embed are covered by the embed's media
+        if (embed.url) embeddedLinks.add(embed.url);
+
+        const label = `${embed.provider && embed.provider.name ? embed.provider.name : getHostname(embed.url) || 'Link'} embed`;
+        if (embed.image) addRemote(embed.image.url, 'embed', label, embed.image);
+        if (embed.video && embed.video.url) addRemote(embed.video.url, 'embed', label, embed.video);
+        // Plain image links embed as a thumbnail only
+        if (!embed.image && !embed.video && embed.thumbnail && embed.data.type === 'image') {
+            addRemote(embed.thumbnail.url, 'embed', label, embed.thumbnail);
+        }
+    }
+
+    for (const match of (message.content || '').match(URL_PATTERN) || []) {
+        const url = match.replace(/[)\].,!?]+$/, '');
+        if (!embeddedLinks.has(url)) addRemote(url, 'link', 'Link');
+    }
+
+    return [...sources, ...remote.slice(0, MAX_REMOTE_SOURCES)]
+        .map((source, index) => ({ ...source, index }));
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+// Addresses that aren't on the public internet: unspecified, private, shared (CGNAT), loopback,
+// link-local, documentation, benchmarking, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Split an IPv6 address into its eight 16-bit groups (a dotted IPv4 tail counts as two)
+ */
+function getIPv6Groups(address) {
+    let text = address;
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+    return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Get the IPv4 address an IPv4-mapped (::ffff:a.b.c.d) or IPv4-compatible (::a.b.c.d) IPv6 address carries
+ * @returns {string|null} - Dotted IPv4 address, or null for other IPv6 addresses
+ */
+function getEmbeddedIPv4(address) {
+    const groups = getIPv6Groups(address);
+    const mapped = groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff;
+    // :: and ::1 are IPv6's own unspecified and loopback addresses, not IPv4-compatible ones
+    const compatible = groups.slice(0, 6).every(group => group === 0) && (groups[6] !== 0 || groups[7] > 1);
+    if (!mapped && !compatible) return null;
+
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * (anything that doesn't parse as an IP address counts as private)
+ */
+function isPrivateAddress(address) {
+    const plain = String(address).replace(/^\[|\]$/g, '').replace(/%.*$/, '').toLowerCase();
+    const family = net.isIP(plain);
+    if (family === 4) return PRIVATE_RANGES.check(plain, 'ipv4');
+    if (family !== 6) return true;
+
+    const embedded = getEmbeddedIPv4(plain);
+    return embedded ? PRIVATE_RANGES.check(embedded, 'ipv4') : PRIVATE_RANGES.check(plain, 'ipv6');
+}
+
+/**
+ * Refuse URLs that aren't http(s) or resolve to a private network address
+ */
+async function assertPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('invalid URL');
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`unsupported protocol ${parsed.protocol}`);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error('links to private network addresses are not allowed');
+    }
+}
+
+/**
+ * Stop redirects into the local network (follow-redirects hook; IP literals skip DNS, so they are checked here)
+ */
+function blockPrivateRedirects(options) {
+    const hostname = (options.hostname || '').replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+        throw new Error('redirect to a private network address refused');
+    }
+}
+
+/**
+ * dns.lookup that fails for private network addresses
+ *
+ * Used for every connection to a link or embed, so a host that resolves to a public address
+ * when checked and a private one when connected (DNS rebinding) is still refused.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to a private network address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// Axios agent options for links and embeds (redirects reuse them)
+const PUBLIC_AGENTS = Object.freeze({
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+});
+
+/**
+ * Check a remote file's reported type and size against the download limits
+ * @returns {string|null} - Why the file can't be downloaded, or null if it can
+ */
+function checkRemoteFile(contentType, size, maxSize = MAX_REMOTE_SOURCE_SIZE) {
+    if (!REMOTE_SOURCE_TYPES.some(prefix => (contentType || '').startsWith(prefix))) {
+        return `it isn't an image or video (the link returns \`${contentType || 'unknown type'}\`)`;
+    }
+    if (size !== null && size > maxSize) {
+        return `it is larger than the ${Math.round(maxSize / (1024 * 1024))} MB download limit`;
+    }
+    return null;
+}
+
+/**
+ * Pass download chunks through, failing once more than maxSize bytes arrive
+ * (servers can omit or misreport Content-Length)
+ */
+async function* limitStream(source, maxSize) {
+    let received = 0;
+    for await (const chunk of source) {
+        received += chunk.length;
+        if (received > maxSize) {
+            throw new Error(`Download exceeded the ${Math.round(maxSize / (1024 * 1024))} MB limit`);
+        }
+        yield chunk;
+    }
+}
+
+/**
+ * Ask a link or embed's server what it would send, without downloading the body
+ * @returns {Promise<Object>} - The source with size, contentType and a file name, or { reason } if unusable
+ */
+async function probeRemoteSource(source) {
+    let response;
+    try {
+        await assertPublicUrl(source.url);
+        // Some CDNs reject HEAD, so open a GET and close it once the headers arrive
+        response = await axios.get(source.url, {
+            responseType: 'stream',
+            timeout: PROBE_TIMEOUT,
+            maxRedirects: 5,
+            beforeRedirect: blockPrivateRedirects,
+            ...PUBLIC_AGENTS,
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; DriveUploaderBot)', 'Accept': 'image/*,video/*;q=0.9,*/*;q=0.5' }
+        });
+    } catch (error) {
+        return { ...source, reason: `it couldn't be downloaded (${error.message})` };
+    }
+    response.data.destroy();
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    const size = Number.isFinite(contentLength) ? contentLength : null;
+
+    const problem = checkRemoteFile(contentType, size);
+    if (problem) return { ...source, reason: problem };
+
+    const extension = EXTENSIONS[contentType];
+    const name = extension && !/\.[a-z0-9]{2,5}$/i.test(source.name) ? `${source.name}.${extension}` : source.name;
+    return { ...source, name, size, contentType };
+}
+
+/**
+ * Check links and embed media (attachments pass through as they are)
+ * @returns {Promise<Object>} - { sources, rejected: [{ fileName, reason, index }] }
+ */
+async function resolveSources(sources) {
+    const resolved = [];
+    const rejected = [];
+
+    // Probed one at a time; messages rarely have more than a few
+    for (const source of sources) {
+        if (source.origin === 'attachment') {
+            resolved.push(source);
+            continue;
+        }
+
+        const probed = await probeRemoteSource(source);
+        if (probed.reason) {
+            rejected.push({ fileName: `${source.name} (${source.originLabel.toLowerCase()})`, reason: probed.reason, index: source.index });
+        } else {
+            resolved.push(probed);
+        }
+    }
+
+    return { sources: resolved, rejected };
+}
+
+/**
+ * Get the limits a request's file must be downloaded under (null for Discord attachments)
+ * @param {Object} source - Request or batch item with a sourceOrigin
+ * @param {string} channelId - Upload channel, whose file policy may lower the size limit
+ */
+function getDownloadLimits(source, channelId) {
+    if (!source.sourceOrigin || source.sourceOrigin === 'attachment') return null;
+
+    const policy = getFilePolicyFor(channelId);
+    return { maxSize: policy.maxSize ? Math.min(policy.maxSize, MAX_REMOTE_SOURCE_SIZE) : MAX_REMOTE_SOURCE_SIZE };
+}
+
+module.exports = {
+    getMessageSources,
+    resolveSources,
+    assertPublicUrl,
+    blockPrivateRedirects,
+    isPrivateAddress,
+    PUBLIC_AGENTS,
+    checkRemoteFile,
+    limitStream,
+    getDownloadLimits,
+    ORIGIN_EMOJIS,
+    MAX_REMOTE_SOURCE_SIZE
+};
@@ -0,0 +1,111 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const OPT_OUTS_FILE = path.join(__dirname, '..', '..', 'config', 'opt-outs.json');
+
+// userId -> { everywhere, channelIds, updatedAt } - artists who don't want their work copied to Drive
+let optOuts = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Load the opt-out registry
+ */
+async function loadOptOuts() {
+    try {
+        optOuts = (await readJsonFile(OPT_OUTS_FILE, 'Opt-out registry')) || {};
+    } catch (error) {
+        console.error('❌ Error loading opt-out registry:', error.message);
+        throw error;
+    }
+    return optOuts;
+}
+
+// An unreadable registry stays unloaded, so every check fails (no upload slips past an opt-out)
+// and the file is read again next time, picking up a restored file without a restart
+async function ensureLoaded() {
+    if (!optOuts) await loadOptOuts();
+}
+
+async function saveOptOuts() {
+    const snapshot = JSON.stringify(optOuts, null, 2);
+
+    writeQueue = writeQueue.then(async () => {
+        try {
+            await writeJsonFile(OPT_OUTS_FILE, snapshot);
+        } catch (error) {
+            console.error('❌ Error saving opt-out registry:', error);
+        }
+    });
+
+    return writeQueue;
+}
+
+/**
+ * Get a user's opt-out ({ everywhere, channelIds }), or null if they haven't opted out
+ */
+async function getOptOut(userId) {
+    await ensureLoaded();
+    const entry = optOuts[userId];
+    return entry ? { everywhere: entry.everywhere, channelIds: [...entry.channelIds] } : null;
+}
+
+/**
+ * Opt a user out of uploads of their work, everywhere or in one upload channel
+ */
+async function optOut(userId, channelId = null) {
+    await ensureLoaded();
+
+    const entry = optOuts[userId] || { everywhere: false, channelIds: [] };
+    if (channelId) {
+        if (!entry.channelIds.includes(channelId)) entry.channelIds.push(channelId);
+    } else {
+        entry.everywhere = true;
+    }
+    optOuts[userId] = { ...entry, updatedAt: Date.now() };
+
+    await saveOptOuts();
+    return getOptOut(userId);
+}
+
+/**
+ * Opt a user back in, everywhere (clearing every opt-out) or in one upload channel
+ */
+async function optIn(userId, channelId = null) {
+    await ensureLoaded();
+
+    const entry = optOuts[userId];
+    if (!entry) return null;
+
+    if (channelId) {
+        entry.channelIds = entry.channelIds.filter(id => id !== channelId);
+    } else {
+        entry.everywhere = false;
+        entry.channelIds = [];
+    }
+
+    if (!entry.everywhere && entry.channelIds.length === 0) {
+        delete optOuts[userId];
+    } else {
+        optOuts[userId] = { ...entry, updatedAt: Date.now() };
+    }
+
+    await saveOptOuts();
+    return getOptOut(userId);
+}
+
+/**
+ * Check whether a user's work posted in a channel may not be uploaded
+ */
+async function isOptedOut(userId, channelId) {
+    const entry = await getOptOut(userId);
+    return Boolean(entry) && (entry.everywhere || entry.channelIds.includes(channelId));
+}
+
+module.exports = {
+    loadOptOuts,
+    getOptOut,
+    optOut,
+    optIn,
+    isOptedOut,
+    OPT_OUTS_FILE
+};
@@ -0,0 +1,243 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const REQUESTS_FILE = path.join(__dirname, '..', '..', 'config', 'requests.json');
+
+// Request lifecycle states
+const REQUEST_STATUS = Object.freeze({
+    DRAFT: 'draft',         // User is still picking a folder / editing details in DMs
+    SUBMITTED: 'submitted', // Waiting for an officer in the approval channel
+    APPROVED: 'approved',   // Uploaded to Google Drive
+    DENIED: 'denied',       // Rejected by an officer
+    FAILED: 'failed',       // Approved but the upload threw (officers can retry)
+    SKIPPED: 'skipped',     // Closed as a duplicate of a file already in Drive
+    WITHDRAWN: 'withdrawn'  // Pulled back by the requester before an officer decided
+});
+
+// Allowed transitions (from -> [to])
+const STATUS_TRANSITIONS = {
+    [REQUEST_STATUS.DRAFT]: [REQUEST_STATUS.SUBMITTED],
+    [REQUEST_STATUS.SUBMITTED]: [REQUEST_STATUS.APPROVED, REQUEST_STATUS.DENIED, REQUEST_STATUS.FAILED, REQUEST_STATUS.SKIPPED, REQUEST_STATUS.WITHDRAWN],
+    [REQUEST_STATUS.APPROVED]: [],
+    [REQUEST_STATUS.DENIED]: [],
+    [REQUEST_STATUS.FAILED]: [REQUEST_STATUS.APPROVED, REQUEST_STATUS.FAILED, REQUEST_STATUS.DENIED, REQUEST_STATUS.SKIPPED],
+    [REQUEST_STATUS.SKIPPED]: [],
+    [REQUEST_STATUS.WITHDRAWN]: []
+};
+
+// Requests still waiting on an officer (failed ones keep their Retry button)
+const OPEN_STATUSES = Object.freeze([REQUEST_STATUS.SUBMITTED, REQUEST_STATUS.FAILED]);
+
+// Requests nobody can act on any more
+const FINISHED_STATUSES = Object.freeze([
+    REQUEST_STATUS.APPROVED,
+    REQUEST_STATUS.DENIED,
+    REQUEST_STATUS.SKIPPED,
+    REQUEST_STATUS.WITHDRAWN
+]);
+
+let requests = new Map();
+let loaded = false;
+
+// Set when requests.json couldn't be read; the store then refuses all use rather than start empty
+let loadError = null;
+
+// Writes are chained so concurrent updates never interleave on disk
+let writeQueue = Promise.resolve();
+
+/**
+ * Load stored requests from JSON file
+ */
+async function loadRequests() {
+    try {
+        const parsed = await readJsonFile(REQUESTS_FILE, 'Request store');
+        requests = new Map(Object.entries(parsed || {}));
+        loadError = null;
+        console.log(`✅ Loaded ${requests.size} stored upload request(s)`);
+    } catch (error) {
+        console.error('❌ Error loading request store:', error.message);
+        loadError = error;
+        throw error;
+    }
+    loaded = true;
+    return requests;
+}
+
+/**
+ * Persist all requests to JSON file
+ */
+async function saveRequests() {
+    const snapshot = JSON.stringify(Object.fromEntries(requests), null, 2);
+
+    writeQueue = writeQueue.then(async () => {
+        try {
+            await writeJsonFile(REQUESTS_FILE, snapshot);
+        } catch (error) {
+            console.error('❌ Error saving request store:', error);
+        }
+    });
+
+    return writeQueue;
+}
+
+// Callers get copies so they can't mutate stored state without saving
+function clone(request) {
+    return JSON.parse(JSON.stringify(request));
+}
+
+async function ensureLoaded() {
+    if (loadError) throw loadError;
+    if (!loaded) await loadRequests();
+}
+
+/**
+ * Generate a new request ID
+ */
+function generateRequestId(userId) {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}_${userId}`;
+}
+
+/**
+ * Create a new draft request and persist it
+ */
+async function createRequest(fields) {
+    await ensureLoaded();
+
+    const now = Date.now();
+    const request = {
+        ...fields,
+        requestId: fields.requestId || generateRequestId(fields.userId),
+        status: REQUEST_STATUS.DRAFT,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    requests.set(request.requestId, request);
+    await saveRequests();
+    return clone(request);
+}
+
+/**
+ * Get a copy of a stored request (null if unknown)
+ */
+async function getRequest(requestId) {
+    await ensureLoaded();
+    const request = requests.get(requestId);
+    return request ? clone(request) : null;
+}
+
+/**
+ * Merge updates into a stored request
+ */
+async function updateRequest(requestId, updates) {
+    await ensureLoaded();
+    const request = requests.get(requestId);
+    if (!request) return null;
+
+    const { requestId: _ignored, status: _status, ...safeUpdates } = updates;
+    Object.assign(request, safeUpdates, { updatedAt: Date.now() });
+    await saveRequests();
+    return clone(request);
+}
+
+/**
+ * Move a request to a new lifecycle status (validates the transition)
+ */
+async function setStatus(requestId, status, updates = {}) {
+    await ensureLoaded();
+    const request = requests.get(requestId);
+    if (!request) {
+        throw new Error(`Upload request ${requestId} not found`);
+    }
+
+    const allowed = STATUS_TRANSITIONS[request.status] || [];
+    if (!allowed.includes(status)) {
+        throw new Error(`Cannot move request ${requestId} from ${request.status} to ${status}`);
+    }
+
+    const { requestId: _ignored, status: _status, ...safeUpdates } = updates;
+    Object.assign(request, safeUpdates, { status, updatedAt: Date.now() });
+    await saveRequests();
+    return clone(request);
+}
+
+/**
+ * Record an officer's approval vote on a request
+ *
+ * The check and update happen in one step so simultaneous clicks can't lose a vote.
+ * @returns {Promise<Object|null>} - Updated request, or null if this officer already approved
+ */
+async function recordApproval(requestId, userId) {
+    await ensureLoaded();
+    const request = requests.get(requestId);
+    if (!request) {
+        throw new Error(`Upload request ${requestId} not found`);
+    }
+
+    const approvals = request.approvals || [];
+    if (approvals.some(approval => approval.userId === userId)) {
+        return null;
+    }
+
+    request.approvals = [...approvals, { userId, approvedAt: Date.now() }];
+    request.updatedAt = Date.now();
+    await saveRequests();
+    return clone(request);
+}
+
+/**
+ * Remove a request from the store
+ */
+async function deleteRequest(requestId) {
+    await ensureLoaded();
+    if (requests.delete(requestId)) {
+        await saveRequests();
+    }
+}
+
+/**
+ * Remove finished requests last updated before a cutoff (their history stays in the audit log)
+ * @param {number} cutoff - Timestamp; finished requests updated earlier are removed
+ * @returns {Promise<number>} - How many requests were removed
+ */
+async function pruneFinishedRequests(cutoff) {
+    await ensureLoaded();
+    let removed = 0;
+    for (const [requestId, request] of requests) {
+        if (FINISHED_STATUSES.includes(request.status) && request.updatedAt < cutoff) {
+            requests.delete(requestId);
+            removed++;
+        }
+    }
+
+    if (removed > 0) await saveRequests();
+    return removed;
+}
+
+/**
+ * Find requests matching a predicate
+ */
+async function findRequests(predicate = () => true) {
+    await ensureLoaded();
+    return Array.from(requests.values())
+        .filter(predicate)
+        .map(clone);
+}
+
+module.exports = {
+    loadRequests,
+    saveRequests,
+    createRequest,
+    getRequest,
+    updateRequest,
+    setStatus,
+    recordApproval,
+    deleteRequest,
+    pruneFinishedRequests,
+    findRequests,
+    REQUEST_STATUS,
+    STATUS_TRANSITIONS,
+    OPEN_STATUSES,
+    FINISHED_STATUSES,
+    REQUESTS_FILE
+};
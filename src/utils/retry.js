@@ -0,0 +1,118 @@
+// HTTP statuses worth retrying (rate limits and transient server errors)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Node/axios network error codes worth retrying
+const RETRYABLE_CODES = [
+    'ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE',
+    'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+
+// Drive reports per-user rate limits as 403 with one of these reasons
+const RETRYABLE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+const DEFAULT_RETRY_OPTIONS = {
+    retries: 4,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+/**
+ * Get the HTTP status of a failed request (axios, gaxios or discord.js errors)
+ */
+function getErrorStatus(error) {
+    if (error.response && error.response.status) return error.response.status;
+    if (typeof error.status === 'number') return error.status;
+    return null;
+}
+
+/**
+ * Check whether an error is transient (429, 5xx, Drive rate limit or network reset)
+ */
+function isRetryableError(error) {
+    if (!error) return false;
+
+    const status = getErrorStatus(error);
+    if (status !== null) {
+        if (RETRYABLE_STATUSES.includes(status)) return true;
+        if (status === 403) {
+            const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+            return RETRYABLE_REASONS.includes(reason);
+        }
+        return false;
+    }
+
+    if (RETRYABLE_CODES.includes(error.code)) return true;
+
+    // Aborted streams and sockets don't always carry a code
+    return /socket hang up|aborted|network/i.test(error.message || '');
+}
+
+/**
+ * Delay before the next attempt: honours Retry-After, otherwise exponential backoff with full jitter
+ */
+function getRetryDelay(attempt, error = null, options = {}) {
+    const { baseDelay, maxDelay } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+    const retryAfter = parseFloat(error?.response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+        return Math.min(retryAfter * 1000, maxDelay);
+    }
+
+    const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async operation, retrying transient failures with jittered exponential backoff
+ * @param {Function} fn - Operation to run (receives the attempt number)
+ * @param {Object} options - { retries, baseDelay, maxDelay, label, shouldRetry }
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+async function withRetry(fn, options = {}) {
+    const { retries, label, shouldRetry } = {
+        ...DEFAULT_RETRY_OPTIONS,
+        shouldRetry: isRetryableError,
+        ...options
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+
+            const delay = getRetryDelay(attempt, error, options);
+            console.log(`⚠️ ${label || 'Request'} failed (${getErrorStatus(error) || error.code || error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${retries})...`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Describe a failed request for officers, keeping Drive's status and reason
+ * ("The user's Drive storage quota has been exceeded. (HTTP 403, storageQuotaExceeded)")
+ */
+function describeError(error) {
+    const status = getErrorStatus(error);
+    const apiError = error.response?.data?.error;
+    const reason = error.errors?.[0]?.reason || apiError?.errors?.[0]?.reason;
+    const message = apiError?.message || error.message;
+
+    if (status === null) return message;
+    return `${message} (HTTP ${status}${reason ? `, ${reason}` : ''})`;
+}
+
+module.exports = {
+    withRetry,
+    describeError,
+    isRetryableError,
+    getRetryDelay,
+    getErrorStatus,
+    sleep
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { isPrivateAddress, resolveSources } = require('../src/utils/messageSources');
+
+test('IPv4 private, reserved and benchmarking ranges are private', () => {
+    for (const address of ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1',
+        '192.168.1.1', '198.18.0.1', '198.19.255.255', '224.0.0.1', '255.255.255.255']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+});
+
+test('IPv4-mapped and IPv4-compatible IPv6 literals are checked as IPv4', () => {
+    // WHATWG URL rewrites [::ffff:127.0.0.1] to the hex form
+    assert.strictEqual(new URL('http://[::ffff:127.0.0.1]/').hostname, '[::ffff:7f00:1]');
+    for (const address of ['::ffff:7f00:1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '[::ffff:169.254.169.254]', '::7f00:1', '::10.0.0.1']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+    assert.strictEqual(isPrivateAddress('::ffff:808:808'), false);
+});
+
+test('IPv6 loopback, unique local, link-local, site-local and NAT64 ranges are private', () => {
+    for (const address of ['::', '::1', 'fc00::1', 'fd12::1', 'fe80::1', 'fe90::1', 'febf::1', 'fec0::1',
+        'feff::1', 'ff02::1', '64:ff9b::7f00:1', 'fe80::1%eth0']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+});
+
+test('public addresses are allowed', () => {
+    for (const address of ['8.8.8.8', '1.1.1.1', '198.20.0.1', '2606:4700::1111', 'fbff::1']) {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+});
+
+test('links to a mapped loopback literal are rejected without being fetched', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end('png');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const url = `http://[::ffff:127.0.0.1]:${server.address().port}/x.png`;
+        const { sources, rejected } = await resolveSources([{ url, name: 'x.png', origin: 'link', originLabel: 'Link', index: 0 }]);
+        assert.strictEqual(sources.length, 0);
+        assert.match(rejected[0].reason, /private network/);
+        assert.strictEqual(requests, 0);
+    } finally {
+        server.close();
+    }
+});